@@ -0,0 +1,1339 @@
+// lib/app.js
+// The add-on as an Express app. createApp() takes the validated config and the
+// fetch() used for every upstream call (Torrentio and other sources, Cinemeta,
+// subtitle add-ons, debrid APIs), so tests and offline runs can swap in
+// recorded responses (lib/fixtures.js). index.js does the rest: secrets,
+// config file loading and reloads, and listening on PORT.
+
+const express = require("express");
+const crypto = require("crypto");
+const { describeRelease, formatSize } = require("./parse-release");
+const { createDebridClient, normalizeProvider, infoHashOf } = require("./debrid");
+const { createTokenCodec, isVersionedToken } = require("./token");
+const { DEFAULTS, DEFAULT_PROFILE } = require("./config");
+const { normalizeSourceEntry, adapterFor } = require("./sources");
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./metrics");
+const { normalizeConnection, parseRuntime, prefersLower } = require("./bandwidth");
+const { titleLabel, audioLine } = require("./i18n");
+const { parseExtra, rankSubtitles } = require("./subtitles");
+const { createRateLimiter, createSemaphore } = require("./rate-limit");
+const { createHistoryStore } = require("./history");
+const { createCatalogStore, describeEntry, CATALOGS: CATALOG_KINDS } = require("./catalogs");
+const {
+  combinedLabel, parsedOf, qualityTag, displayTag, qualityScoreFromTag, is1080pLabel, extractSeeders,
+  rankBreakdown, rankStream, playbackOf, isDebridCached, releaseIdentity,
+  isMuchFaster, bestOfQuality, bingeGroupFor, buildMagnet, normalizeForResolver
+} = require("./ranking");
+const {
+  normalizeFilters, hasFilters, applyFilters, normalizeLanguage, normalizeOutput, normalizeRanking, hasRanking,
+  formValues, readInstallForm, parseEpisodeId
+} = require("./user-settings");
+const { configurePage, installPage, explainPage, previewPage } = require("./pages");
+
+// ── Manifest (static JSON) ────────────────────────────────────────────────────
+const manifest = {
+  id: "org.autostream.best",
+  version: "2.0.2",
+  name: "AutoStream",
+  description:
+    "AutoStream picks the best stream for each title, balancing quality with seeders. Debrid can be enabled via manifest URL params. Returns a curated best pick and (when helpful) a second 1080p option.",
+  resources: ["stream"], // + "subtitles", "catalog" and "meta" when configured, see manifestJson()
+  types: ["movie", "series"],
+  catalogs: [], // required by Stremio linter; filled in by manifestJson() when catalogs are enabled
+  idPrefixes: ["tt"],
+  logo: "https://raw.githubusercontent.com/keypop3750/autostream-addon/main/logo.png",
+  behaviorHints: { configurable: true, configurationRequired: false },
+  stremioAddonsConfig: {
+    issuer: "https://stremio-addons.net",
+    signature:
+      "eyJhbGciOiJkaXIiLCJlbmMiOiJBMTI4Q0JDLUhTMjU2In0..KPt7fOiOCod52ZjlFWg52A.dt7eIyal-1oAkU4cOG5c6YPsWn70Ds6AXqY1FJX3Ikqzzeu1gzgj2_xO4e4zh7gsXEyjhoAJ-L9Pg6UI57XD6FWjzpRcvV0v-6WuKmfZO_hDcDIrtVQnFf0nK2dnO7-n.v25_jaY5E-4yH_cxyTKfsA"
+  }
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+// Small TTL map; oldest insertions are evicted once maxEntries() is reached.
+// The limit is read on every insert, so a config reload applies to it.
+function createTtlCache(maxEntries) {
+  const map = new Map();
+  return {
+    get(key) {
+      const hit = map.get(key);
+      if (!hit) return undefined;
+      if (hit.expires <= Date.now()) { map.delete(key); return undefined; }
+      return hit.value;
+    },
+    set(key, value, ttlMs) {
+      if (!(ttlMs > 0)) return;
+      map.delete(key);
+      map.set(key, { value, expires: Date.now() + ttlMs });
+      while (map.size > maxEntries()) map.delete(map.keys().next().value);
+    },
+    clear() { map.clear(); },
+    get size() { return map.size; }
+  };
+}
+
+function decodeTokenMaybe(str) {
+  try {
+    const json = Buffer.from(String(str || ""), "base64url").toString("utf8");
+    return JSON.parse(json);
+  } catch { return null; }
+}
+
+// Install tokens stand for the user in rate limits and history
+function tokenDigest(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex").slice(0, 16);
+}
+// API keys and personal links only ever enter cache keys this way
+const secretDigest = value => (value ? tokenDigest(value) : "");
+
+function describeSources(list) {
+  return list.map(e => `${e.name} (${e.adapter})`);
+}
+function formatSourceReport(report) {
+  return report.map(r => r.ok
+    ? `${r.source} → ${r.count} in ${r.ms}ms`
+    : `${r.source} → failed (${r.error}${r.ms != null ? `, ${r.ms}ms` : ""})`);
+}
+
+function absoluteBase(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL;
+  const host = req.get("host") || "";
+  const xf = String(req.headers["x-forwarded-proto"] || "");
+  const scheme = xf.includes("https") || host.endsWith(".onrender.com") ? "https" : req.protocol;
+  return `${scheme}://${host}`;
+}
+
+// Subtitle languages: the user's subtitle filter, else their audio languages,
+// else the title language when it isn't English.
+const MAX_SUBTITLES = 20;
+function subtitleLangs(cfg) {
+  if (cfg.filters && cfg.filters.subLangs.length) return cfg.filters.subLangs;
+  if (cfg.language && cfg.language.audio.length) return cfg.language.audio;
+  if (cfg.language && cfg.language.ui !== "en") return [cfg.language.ui];
+  return [];
+}
+
+// One row of the explain report
+function explainCandidate(st, profile) {
+  const p = parsedOf(st);
+  const score = rankBreakdown(st, profile);
+  for (const k of Object.keys(score)) score[k] = Math.round(score[k] * 10) / 10;
+  return {
+    source: st.__source,
+    title: String(st.title || st.name || "").split("\n")[0],
+    quality: qualityTag(combinedLabel(st)),
+    languages: p.languages,
+    seeders: extractSeeders(st),
+    size: p.size ? formatSize(p.size) : null,
+    cached: isDebridCached(st),
+    playback: profile.playback ? playbackOf(st, profile) : null,
+    score
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.config       validated config (lib/config.js)
+ * @param {string} options.tokenSecret  install token secret
+ * @param {typeof fetch} [options.fetch] used for every upstream request
+ * @param {string|null} [options.historyFile] where release history is saved; null keeps it in memory
+ * @returns {{ app: import("express").Express, applyConfig(config: object): void, logSettings(): void, history: object, catalogs: object }}
+ */
+function createApp({ config, tokenSecret, fetch: fetchImpl = fetch, historyFile = null }) {
+  // ── Config ────────────────────────────────────────────────────────────────────
+  // Re-assigned by applyConfig() when index.js reloads config.json.
+  let SOURCES, FALLBACK_SOURCES, SUBTITLE_SOURCES, PREF, TIMEOUTS, CACHE, BREAKER, RATE_LIMIT, DEBRID, HISTORY, CATALOGS, BANDWIDTH, RANK_PROFILES;
+
+  function applyConfig(config) {
+    SOURCES = config.sources.map(normalizeSourceEntry);
+    FALLBACK_SOURCES = config.fallback_sources.map(normalizeSourceEntry);
+    SUBTITLE_SOURCES = config.subtitle_sources;
+    PREF = config.prefer_lower_quality;
+    TIMEOUTS = config.timeouts;
+    CACHE = config.cache;
+    BREAKER = config.breaker;
+    RATE_LIMIT = config.rate_limit;
+    DEBRID = config.debrid;
+    HISTORY = config.history;
+    CATALOGS = config.catalogs;
+    BANDWIDTH = {
+      ...config.bandwidth,
+      bitrate_mbps: { ...DEFAULTS.bandwidth.bitrate_mbps, ...config.bandwidth.bitrate_mbps }
+    };
+    // null prototype: profile names come from URLs, so "constructor" or
+    // "__proto__" must not look like a profile
+    RANK_PROFILES = Object.assign(Object.create(null), { default: DEFAULT_PROFILE });
+    for (const [name, p] of Object.entries(config.ranking_profiles)) {
+      RANK_PROFILES[name] = {
+        ...DEFAULT_PROFILE,
+        ...p,
+        label: p.label || name,
+        quality: { ...DEFAULT_PROFILE.quality, ...(p.quality || {}) }
+      };
+    }
+  }
+  applyConfig(config);
+
+  function profileFor(cfg) {
+    return RANK_PROFILES[cfg && cfg.profile] || DEFAULT_PROFILE;
+  }
+  // The ranking profile plus what this user's request adds to scoring: their
+  // own weight and threshold overrides, audio language preferences and, with a
+  // connection profile, what the playback estimates need ({ connection,
+  // runtimeMin, settings }) and the release this install picked for the series
+  // before (sticky).
+  function userProfile(cfg, runtimeMin, sticky = null) {
+    const base = profileFor(cfg);
+    const own = cfg.ranking || normalizeRanking(null);
+    const profile = {
+      ...base,
+      ...own.weights,
+      quality: { ...base.quality, ...own.quality },
+      prefer_lower_quality: { ...base.prefer_lower_quality, ...own.prefer },
+      audioPrefs: cfg.language ? cfg.language.audio : [],
+      sticky
+    };
+    if (cfg.connection) profile.playback = { connection: cfg.connection, runtimeMin, settings: BANDWIDTH };
+    return profile;
+  }
+
+  // Per install: the debrid catalog is only listed for installs with a debrid key
+  function manifestJson(cfg) {
+    const resources = SUBTITLE_SOURCES.length ? ["stream", "subtitles"] : ["stream"];
+    const catalogs = [];
+    if (CATALOGS.enabled) {
+      const kinds = debridClientFor(cfg) ? [CATALOG_KINDS.seeded, CATALOG_KINDS.cached] : [CATALOG_KINDS.seeded];
+      for (const kind of kinds) {
+        for (const type of manifest.types) catalogs.push({ type, id: kind.id, name: kind.name, extra: [{ name: "skip" }] });
+      }
+      resources.push("catalog", "meta");
+    }
+    return JSON.stringify({ ...manifest, resources, catalogs });
+  }
+
+  // ── Config readers ────────────────────────────────────────────────────────────
+  const tokens = createTokenCodec(tokenSecret);
+
+  // Settings in an install token: encrypted v1 tokens, plus the old base64
+  // JSON config and legacy Torrentio URL tokens. null if it can't be read.
+  function decodeInstallToken(token) {
+    const versioned = isVersionedToken(token);
+    const obj = versioned ? tokens.decode(token) : decodeTokenMaybe(token);
+    if (versioned && !obj) console.warn("[Config] Rejected install token (bad secret, tampered or unknown version)");
+    return obj && typeof obj === "object" ? obj : null;
+  }
+
+  function getConfig(req) {
+    return readConfig(req.query || {}, req.params && req.params.cfg);
+  }
+
+  // Read per-request settings from query OR from /u/:cfg token
+  function readConfig(query, token) {
+    // 1) direct query params (Torrentio-style)
+    let debrid = (query.debrid || "").toString();
+    let apikey = (query.apikey || query.api_key || query.token || "").toString();
+    let cached = !!(query.cached === "1" || query.cached === "true");
+    let profile = (query.profile || "").toString();
+    let filters = null;
+    let output = (query.output || "").toString();
+    let outputCount = query.n;
+    let speed = query.speed;
+    let usage = (query.usage || "").toString();
+    let language = { audio: query.lang, dubbed: query.dubbed, multi: query.multi, ui: query.ui };
+    let ranking = null;
+    let historyKey = null;
+
+    // 2) optional token path (/u/:cfg/...)
+    if ((!debrid || !apikey) && token) {
+      const obj = decodeInstallToken(token);
+      if (obj) {
+        historyKey = tokenDigest(token);
+        // Support either a full torrentio URL or fields
+        if (typeof obj.torrentio === "string") {
+          // legacy style: URL like https://torrentio.../<slug>|cached=true&...&apikey=...
+          return { debrid: "custom-url", apikey: "", cached: true, profile: "default", filters: normalizeFilters(null), ...normalizeOutput(), connection: null, language: normalizeLanguage(null), ranking: normalizeRanking(null), legacyTorrentioUrl: obj.torrentio, historyKey };
+        }
+        debrid = (obj.debridProvider || obj.debrid || debrid || "none").toString();
+        apikey = (obj.debridApiKey || obj.apiKey || apikey || "").toString();
+        cached = obj.preferCached != null ? !!obj.preferCached : cached;
+        profile = (obj.profile || obj.rankingProfile || profile || "").toString();
+        filters = obj.filters || filters;
+        output = (obj.output || output || "").toString();
+        outputCount = obj.outputCount != null ? obj.outputCount : outputCount;
+        speed = obj.speedMbps != null ? obj.speedMbps : speed;
+        usage = (obj.usage || usage || "").toString();
+        language = obj.language || language;
+        ranking = obj.ranking || ranking;
+      }
+    }
+
+    return {
+      debrid: debrid || "none",
+      apikey,
+      cached,
+      profile: RANK_PROFILES[profile] ? profile : "default",
+      filters: normalizeFilters(filters),
+      ...normalizeOutput(output, outputCount),
+      connection: normalizeConnection(speed, usage),
+      language: normalizeLanguage(language),
+      ranking: normalizeRanking(ranking),
+      legacyTorrentioUrl: undefined,
+      historyKey
+    };
+  }
+
+  // ── Metrics (GET /metrics, Prometheus text format) ───────────────────────────
+  const metrics = createRegistry();
+  const httpRequests = metrics.counter("autostream_http_requests_total", "Requests by route and status code", ["route", "status"]);
+  const httpDuration = metrics.histogram("autostream_http_request_duration_seconds", "Response time by route", ["route"]);
+  const sourceFetches = metrics.counter("autostream_source_fetches_total", "Upstream fetches by outcome (ok, error, timeout, skipped)", ["source", "result"]);
+  const sourceDuration = metrics.histogram("autostream_source_fetch_duration_seconds", "Upstream fetch time, failures included", ["source"]);
+  const sourceCandidates = metrics.counter("autostream_source_candidates_total", "Streams returned by each upstream", ["source"]);
+  const cinemetaFailures = metrics.counter("autostream_cinemeta_failures_total", "Failed Cinemeta title lookups");
+  const qualityPicks = metrics.counter("autostream_picks_total", "Curated picks by quality tier", ["quality"]);
+  const qualityDowngrades = metrics.counter("autostream_downgrades_total", "Prefer-lower-quality downgrades", ["from", "to"]);
+  const rateLimited = metrics.counter("autostream_rate_limited_total", "Requests throttled, by limit that was hit", ["scope"]);
+  const upstreamQueued = metrics.counter("autostream_upstream_queued_total", "Upstream requests that waited for a free slot");
+  cinemetaFailures.inc({}, 0);
+
+  function recordSourceMetrics(report) {
+    for (const r of report) {
+      const result = r.skipped ? "skipped" : r.ok ? "ok" : /^(timeout|deadline)/.test(r.error) ? "timeout" : "error";
+      sourceFetches.inc({ source: r.source, result });
+      if (r.skipped) continue;
+      sourceDuration.observe({ source: r.source }, r.ms / 1000);
+      if (r.ok) sourceCandidates.inc({ source: r.source }, r.count);
+    }
+  }
+
+  // ── Abuse protection ──────────────────────────────────────────────────────────
+  // Limits are read from RATE_LIMIT on every call, so config reloads apply at once.
+  const ipLimiter = createRateLimiter(() =>
+    ({ perMinute: RATE_LIMIT.ip_per_minute, burst: RATE_LIMIT.ip_burst, maxKeys: RATE_LIMIT.max_keys }));
+  const tokenLimiter = createRateLimiter(() =>
+    ({ perMinute: RATE_LIMIT.token_per_minute, burst: RATE_LIMIT.token_burst, maxKeys: RATE_LIMIT.max_keys }));
+  const upstreamSlots = createSemaphore(() => RATE_LIMIT.upstream_concurrency);
+
+  // fetch() for every upstream call. The slot is held until the response
+  // headers arrive; a request whose signal aborts while queued never starts.
+  function upstreamFetch(url, options = {}) {
+    if (RATE_LIMIT.upstream_concurrency && upstreamSlots.active >= RATE_LIMIT.upstream_concurrency) upstreamQueued.inc();
+    return upstreamSlots.run(() => fetchImpl(url, options), options.signal);
+  }
+
+  // ── Source health / circuit breaker ──────────────────────────────────────────
+  // closed → open after failure_threshold consecutive failures; once cooldown_ms
+  // has passed a single probe is let through (half-open) and its outcome decides
+  // whether the circuit closes again or re-opens for another cooldown.
+  const sourceHealth = new Map();
+  function healthOf(src) {
+    let h = sourceHealth.get(src);
+    if (!h) {
+      h = { state: "closed", consecutiveFailures: 0, openedAt: null, probing: false, samples: [], lastError: null, lastFailureAt: null, lastSuccessAt: null };
+      sourceHealth.set(src, h);
+    }
+    return h;
+  }
+  function breakerAllows(src) {
+    const h = healthOf(src);
+    if (h.state === "closed") return true;
+    if (h.state === "open" && Date.now() - h.openedAt >= BREAKER.cooldown_ms) {
+      h.state = "half_open";
+      h.probing = false;
+    }
+    if (h.state === "half_open" && !h.probing) { h.probing = true; return true; }
+    return false;
+  }
+  function recordSourceResult(src, ok, ms, error) {
+    const h = healthOf(src);
+    h.samples.push({ ok, ms, at: Date.now() });
+    if (h.samples.length > BREAKER.window) h.samples.shift();
+    h.probing = false;
+    if (ok) {
+      if (h.state !== "closed") console.log("[Breaker] closed:", src);
+      h.state = "closed";
+      h.consecutiveFailures = 0;
+      h.lastSuccessAt = Date.now();
+      return;
+    }
+    h.consecutiveFailures++;
+    h.lastError = error;
+    h.lastFailureAt = Date.now();
+    if (h.state === "half_open" || h.consecutiveFailures >= BREAKER.failure_threshold) {
+      if (h.state !== "open") console.warn("[Breaker] open:", src, `(${h.consecutiveFailures} failures, last: ${error})`);
+      h.state = "open";
+      h.openedAt = Date.now();
+    }
+  }
+  function sourceHealthSummary(src) {
+    const h = healthOf(src);
+    const failures = h.samples.filter(x => !x.ok).length;
+    const okMs = h.samples.filter(x => x.ok).map(x => x.ms).sort((a, b) => a - b);
+    const pct = p => okMs.length ? okMs[Math.min(okMs.length - 1, Math.floor(p * okMs.length))] : null;
+    return {
+      source: src,
+      state: h.state,
+      consecutiveFailures: h.consecutiveFailures,
+      samples: h.samples.length,
+      errorRate: h.samples.length ? +(failures / h.samples.length).toFixed(3) : null,
+      latencyMs: {
+        last: h.samples.length ? h.samples[h.samples.length - 1].ms : null,
+        p50: pct(0.5),
+        p95: pct(0.95)
+      },
+      lastError: h.lastError,
+      lastFailureAt: h.lastFailureAt && new Date(h.lastFailureAt).toISOString(),
+      lastSuccessAt: h.lastSuccessAt && new Date(h.lastSuccessAt).toISOString(),
+      retryAt: h.state === "open" ? new Date(h.openedAt + BREAKER.cooldown_ms).toISOString() : null
+    };
+  }
+
+  // ── Upstream collection & de-dup ─────────────────────────────────────────────
+  // Throws on upstream/network errors so collectStreams can record the reason.
+  async function fetchFromSource(entry, type, id, cfg, signal) {
+    const adapter = adapterFor(entry);
+    const u = adapter.streamUrl(entry, type, id, cfg);
+    const res = await upstreamFetch(u.toString(), { headers: { Accept: "application/json", "user-agent": "autostream/2.0" }, signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return adapter.toCandidates(await res.json(), entry);
+  }
+
+  // Fetch all sources at once. Each gets TIMEOUTS.source_ms; anything still
+  // pending at `deadlineAt` is aborted and we keep whatever already arrived.
+  // Personal entries (one user's link or key) stay out of the shared breaker
+  // and health stats: a user's expired key mustn't cut the source off for others.
+  // Returns { streams, report } where report has one entry per source.
+  async function collectStreams(sources, type, id, cfg, deadlineAt = Date.now() + TIMEOUTS.deadline_ms) {
+    const report = sources.map(entry => ({ source: entry.name, ok: false, count: 0, ms: null, error: "pending" }));
+    const results = sources.map(() => []);
+    const controllers = sources.map(() => new AbortController());
+    const startedAt = sources.map(() => Date.now());
+    let closed = false;
+
+    const record = (i, ...result) => { if (!sources[i].personal) recordSourceResult(sources[i].name, ...result); };
+    const tasks = sources.map(async (entry, i) => {
+      const src = entry.name;
+      if (!entry.personal && !breakerAllows(src)) {
+        Object.assign(report[i], { error: "circuit open", skipped: true });
+        return;
+      }
+      const ctrl = controllers[i];
+      const started = startedAt[i] = Date.now();
+      const timer = setTimeout(() => ctrl.abort(new Error(`timeout after ${TIMEOUTS.source_ms}ms`)), TIMEOUTS.source_ms);
+      try {
+        const list = await fetchFromSource(entry, type, id, cfg, ctrl.signal);
+        if (closed) return;
+        results[i] = list;
+        Object.assign(report[i], { ok: true, count: list.length, ms: Date.now() - started, error: null });
+        record(i, true, report[i].ms);
+      } catch (e) {
+        if (closed) return;
+        const reason = ctrl.signal.aborted ? ctrl.signal.reason : e;
+        Object.assign(report[i], { ms: Date.now() - started, error: (reason && reason.message) || String(reason) });
+        record(i, false, report[i].ms, report[i].error);
+        console.error("Source failed:", src, report[i].error);
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+
+    let deadlineTimer;
+    const deadline = new Promise(resolve => { deadlineTimer = setTimeout(resolve, Math.max(0, deadlineAt - Date.now())); });
+    await Promise.race([Promise.allSettled(tasks), deadline]);
+    clearTimeout(deadlineTimer);
+    closed = true;
+    report.forEach((r, i) => {
+      if (r.error !== "pending") return;
+      r.error = "deadline exceeded";
+      r.ms = Date.now() - startedAt[i];
+      controllers[i].abort(new Error(r.error));
+      record(i, false, r.ms, r.error);
+    });
+    recordSourceMetrics(report);
+
+    const all = results.flat();
+    // De-dup by url/magnet/infoHash. A season pack listed without a fileIdx
+    // takes the file of a copy that has one (Torrentio points each episode
+    // request at the episode's file), so Stremio opens the right episode.
+    const seen = new Map();
+    const unique = [];
+    for (const st of all) {
+      const key = st.url || st.externalUrl || st.magnet || st.infoHash || JSON.stringify(st);
+      if (!seen.has(key)) { seen.set(key, unique.length); unique.push(st); continue; }
+      const i = seen.get(key);
+      if (Number.isInteger(unique[i].fileIdx) || !Number.isInteger(st.fileIdx)) continue;
+      const filename = st.behaviorHints && st.behaviorHints.filename;
+      unique[i] = { ...unique[i], fileIdx: st.fileIdx, ...(filename ? { behaviorHints: { ...unique[i].behaviorHints, filename } } : {}) };
+    }
+    return { streams: unique, report };
+  }
+
+  // ── Direct debrid ─────────────────────────────────────────────────────────────
+  function debridClientFor(cfg) {
+    if (!cfg.apikey || !cfg.debrid || cfg.debrid === "none") return null;
+    const baseUrl = DEBRID[`${normalizeProvider(cfg.debrid)}_url`];
+    return createDebridClient(cfg.debrid, { apikey: cfg.apikey, agent: DEBRID.agent, baseUrl, fetchImpl: upstreamFetch });
+  }
+  function debridSignal(deadlineAt) {
+    return AbortSignal.timeout(Math.max(1, Math.min(DEBRID.timeout_ms, deadlineAt - Date.now())));
+  }
+
+  // Flags candidates whose info hash is instantly available (st.__cached).
+  async function markDebridCached(client, candidates, deadlineAt) {
+    const hashes = [...new Set(candidates.map(infoHashOf).filter(Boolean))];
+    if (!hashes.length) return;
+    try {
+      const available = await client.checkCached(hashes, debridSignal(deadlineAt));
+      let n = 0;
+      for (const st of candidates) {
+        const h = infoHashOf(st);
+        if (h && available.get(h)) { st.__cached = true; n++; }
+      }
+      console.log(`[Debrid] ${client.id}: ${n}/${candidates.length} candidates cached`);
+    } catch (e) {
+      console.warn(`[Debrid] ${client.id} availability check failed:`, e.message || e);
+    }
+  }
+
+  // A cached pick's magnet is swapped for the play route (playPath, made
+  // absolute by withPlayLinks), which resolves it on the user's debrid only
+  // when it is played. Listing a title never adds torrents to their account,
+  // and uncached picks keep their magnet.
+  function debridPlayable(st, streamObj, type, id) {
+    const hash = infoHashOf(st);
+    if (!hash || !isDebridCached(st)) return streamObj;
+    const { infoHash, fileIdx, magnet, sources, url, ...rest } = streamObj;
+    const file = Number.isInteger(st.fileIdx) ? st.fileIdx : "-";
+    return { ...rest, playPath: `play/${type}/${encodeURIComponent(id)}/${hash}/${file}` };
+  }
+
+  // ── Caches ────────────────────────────────────────────────────────────────────
+  const streamCache = createTtlCache(() => CACHE.max_entries);
+  const labelCache = createTtlCache(() => CACHE.max_entries);
+  const inflight = new Map();
+
+  // Cache key from the non-secret parts of cfg. The API key and a legacy
+  // Torrentio link (which embeds one) only enter as digests, so users with
+  // different keys never share (possibly signed) links.
+  function streamCacheKey(type, id, cfg) {
+    const keyDigest = secretDigest(cfg.apikey);
+    const legacy = secretDigest(cfg.legacyTorrentioUrl);
+    const filters = hasFilters(cfg.filters) ? JSON.stringify(cfg.filters) : "";
+    const output = cfg.output === "top-n" ? `top-${cfg.outputCount}` : cfg.output;
+    const connection = cfg.connection ? `${cfg.connection.mbps}mbps-${cfg.connection.usage}` : "";
+    const l = cfg.language;
+    const language = l ? `${l.audio.join(",")}/${l.dubbed ? "d" : ""}${l.multi ? "m" : ""}/${l.ui}` : "";
+    const s = stickyFor(type, id, cfg);
+    const sticky = s ? `${s.group}/${s.resolution}/${s.source}` : "";
+    const ranking = hasRanking(cfg.ranking) ? JSON.stringify(cfg.ranking) : "";
+    return [type, id, cfg.debrid, cfg.cached ? 1 : 0, cfg.profile, ranking, output, filters, connection, language, sticky, legacy, keyDigest].join("|");
+  }
+
+  // ── Release history (stickiness across episodes) ──────────────────────────────
+  // Series picks of token installs are remembered per series; later episodes
+  // favour the same release through the profile's sticky_bonus.
+  const history = createHistoryStore({ file: historyFile, settings: () => HISTORY });
+  const seriesOf = id => String(id).split(":")[0];
+  function stickyFor(type, id, cfg) {
+    if (!HISTORY.enabled || type !== "series" || !cfg.historyKey) return null;
+    return history.get(cfg.historyKey, seriesOf(id));
+  }
+  function rememberPick(type, id, cfg, st) {
+    if (!HISTORY.enabled || type !== "series" || !cfg.historyKey) return;
+    history.remember(cfg.historyKey, seriesOf(id), { ...releaseIdentity(st), ...parseEpisodeId(type, id) });
+  }
+
+  // ── Cinemeta nice names + runtime ─────────────────────────────────────────────
+  // cinemetaMeta() is the raw meta of a title (null if Cinemeta has none),
+  // cached; the meta resource passes it on. getTitleInfo() reduces it to
+  // { title, season, episode, episodeTitle, runtimeMin, poster, year } and
+  // titleLabel() (lib/i18n.js) turns that into the label in the user's language.
+  // runtimeMin / poster / year are null when Cinemeta doesn't know them.
+  async function cinemetaMeta(type, imdb) {
+    const key = `${type}|${imdb}`;
+    const cached = labelCache.get(key);
+    if (cached !== undefined) return cached;
+    const metaUrl = `https://v3-cinemeta.strem.io/meta/${type}/${encodeURIComponent(imdb)}.json`;
+    const res = await upstreamFetch(metaUrl, { headers: { Accept: "application/json" }, signal: AbortSignal.timeout(TIMEOUTS.source_ms) });
+    if (!res.ok) throw new Error(`Cinemeta ${res.status}`);
+    const data = await res.json();
+    const meta = data && data.meta && typeof data.meta === "object" ? data.meta : null;
+    labelCache.set(key, meta, CACHE.label_ttl_ms);
+    return meta;
+  }
+
+  async function getTitleInfo(type, id) {
+    const [imdb, sStr, eStr] = id.split(":");
+    try {
+      const meta = (await cinemetaMeta(type, imdb)) || {};
+      const info = {
+        title: meta.name || meta.title || imdb,
+        season: null,
+        episode: null,
+        episodeTitle: null,
+        runtimeMin: parseRuntime(meta.runtime),
+        poster: meta.poster || null,
+        year: parseInt(String(meta.year || meta.releaseInfo || ""), 10) || null
+      };
+
+      if (type !== "movie" && sStr && eStr) {
+        info.season = parseInt(sStr, 10);
+        info.episode = parseInt(eStr, 10);
+        const ep = Array.isArray(meta.videos)
+          ? meta.videos.find(v => {
+              if (!v?.id) return false;
+              const parts = String(v.id).split(":");
+              return parts[1] == String(info.season) && parts[2] == String(info.episode);
+            })
+          : null;
+        info.episodeTitle = ep?.title || null;
+      }
+      return info;
+    } catch (e) {
+      cinemetaFailures.inc();
+      console.warn("Cinemeta lookup failed:", e?.message || e);
+      return { title: id, season: null, episode: null, episodeTitle: null, runtimeMin: null, poster: null, year: null };
+    }
+  }
+
+  // ── Source resolver based on per-request config ───────────────────────────────
+  // Users with a legacy pipe link or their own debrid key get a personal
+  // Torrentio entry in front of the configured sources.
+  function resolveSourcesFromConfig(cfg) {
+    const list = [...SOURCES];
+    if (cfg.legacyTorrentioUrl) {
+      list.unshift({ name: "torrentio (legacy link)", url: cfg.legacyTorrentioUrl, adapter: "pipe", query: {}, personal: true });
+    } else if (cfg.debrid !== "none" && cfg.apikey) {
+      list.unshift({ ...normalizeSourceEntry("https://torrentio.strem.fun"), personal: true });
+    }
+    return list;
+  }
+
+  // ── Build response streams (curated + extras per output mode) ───────────────
+  // Output modes are described in lib/user-settings.js.
+  // Returns { streams, pick } where pick is the curated candidate.
+  // `trace` (explain endpoint and catalog checks, see newTrace()) collects
+  // source reports, filter rejections, ranked candidates and every downgrade
+  // decision. Debrid links aren't resolved while tracing, so explaining never
+  // adds anything to the user's account.
+  const newTrace = () => ({ sources: [], rejected: [], candidates: [], picked: [], thresholds: null, decisions: [] });
+  async function buildStreams(type, id, cfg, trace = null) {
+    const usedSources = resolveSourcesFromConfig(cfg);
+    const debridPreferred = usedSources.some(e => adapterFor(e).usesDebrid(e, cfg)) || !!debridClientFor(cfg);
+
+    console.log("[AutoStream] Config:", cfg, "Sources:", describeSources(usedSources));
+
+    const deadlineAt = Date.now() + TIMEOUTS.deadline_ms;
+    const wanted = parseEpisodeId(type, id);
+    // Cinemeta runs alongside the upstreams: the label for the output, the runtime for playback estimates
+    const titleInfo = getTitleInfo(type, id);
+    const filtered = (streams, label) => {
+      const { kept, rejected } = applyFilters(streams, cfg.filters, wanted, cfg.language);
+      if (rejected.length) {
+        const reasons = {};
+        rejected.forEach(r => { reasons[r.reason] = (reasons[r.reason] || 0) + 1; });
+        console.log(`[AutoStream] ${label} filters rejected ${rejected.length}/${streams.length}:`, reasons);
+      }
+      if (trace) rejected.forEach(r => trace.rejected.push({ phase: label.toLowerCase(), reason: r.reason, stream: r.stream }));
+      return kept;
+    };
+
+    let { streams: candidates, report } = await collectStreams(usedSources, type, id, cfg, deadlineAt);
+    console.log("[AutoStream] Primary:", formatSourceReport(report));
+    if (trace) report.forEach(r => trace.sources.push({ phase: "primary", ...r }));
+    candidates = filtered(candidates, "Primary");
+    if (candidates.length === 0 && Date.now() < deadlineAt) {
+      console.log("No primary results; trying fallback sources …");
+      ({ streams: candidates, report } = await collectStreams(FALLBACK_SOURCES, type, id, cfg, deadlineAt));
+      console.log("[AutoStream] Fallback:", formatSourceReport(report));
+      if (trace) report.forEach(r => trace.sources.push({ phase: "fallback", ...r }));
+      candidates = filtered(candidates, "Fallback");
+    }
+    if (candidates.length === 0) {
+      console.log("No streams from any source.");
+      return { streams: [], pick: null };
+    }
+
+    const debrid = debridClientFor(cfg);
+    if (debrid && DEBRID.check_cached) await markDebridCached(debrid, candidates, deadlineAt);
+    const info = await titleInfo;
+    const locale = cfg.language ? cfg.language.ui : "en";
+    const niceName = titleLabel(info, locale);
+    const sticky = stickyFor(type, id, cfg);
+    const profile = userProfile(cfg,
+      info.runtimeMin || (type === "series" ? BANDWIDTH.series_runtime_min : BANDWIDTH.movie_runtime_min), sticky);
+    const playback = profile.playback;
+
+    // If Debrid is preferred, tighten downgrade thresholds (unless the user set them)
+    const basePref = { ...PREF, ...profile.prefer_lower_quality };
+    const localPref = { ...basePref };
+    const ownPref = cfg.ranking ? cfg.ranking.prefer : {};
+    if (debridPreferred) {
+      if (ownPref.prefer1080_ratio == null) localPref.prefer1080_ratio = Math.max(localPref.prefer1080_ratio, 3.5);
+      if (ownPref.prefer1080_delta == null) localPref.prefer1080_delta = Math.max(localPref.prefer1080_delta, 1000);
+    }
+    if (trace) {
+      Object.assign(trace, { candidates, profile });
+      trace.thresholds = playback
+        ? { bandwidth: { ...playback, runtimeFromCinemeta: !!info.runtimeMin } }
+        : { profile: basePref, debridPreferred, used: localPref };
+    }
+
+    // Rich ranking
+    let curated = candidates.slice().sort((a, b) => rankStream(b, profile) - rankStream(a, profile))[0];
+    if (trace) trace.decisions.push({ step: "top ranked", quality: qualityTag(combinedLabel(curated)), score: Math.round(rankStream(curated, profile)) });
+
+    const best2160 = bestOfQuality(candidates, "2160p", profile);
+    const best1440 = bestOfQuality(candidates, "1440p", profile);
+    const best1080 = bestOfQuality(candidates, "1080p", profile);
+    const best720  = bestOfQuality(candidates, "720p", profile);
+
+    console.log(
+      "Seeds — 2160:", best2160 && extractSeeders(best2160),
+      "1440:", best1440 && extractSeeders(best1440),
+      "1080:", best1080 && extractSeeders(best1080),
+      "720:",  best720  && extractSeeders(best720),
+      "DebridPreferred:", debridPreferred,
+      "Profile:", cfg.profile
+    );
+
+    // Prefer lower quality if MUCH faster (configurable, ratio vs delta).
+    // Seeders don't matter for a debrid-cached pick: it streams instantly.
+    // With a connection profile the playback estimates decide instead.
+    const tryDowngrade = (fromTags, lower, lowerTag, ratioNeed, deltaNeed) => {
+      const fromTag = qualityTag(combinedLabel(curated));
+      if (!fromTags.includes(fromTag)) return;
+      let result;
+      let detail = {};
+      if (!lower) {
+        result = `kept: no ${lowerTag} candidate`;
+      } else if (playback) {
+        const high = playbackOf(curated, profile);
+        const low = playbackOf(lower, profile);
+        result = high.playable ? "kept: plays smoothly"
+          : prefersLower(low, high) ? "downgraded"
+          : "kept: lower quality no smoother";
+        detail = { playback: { [fromTag]: high, [lowerTag]: low } };
+      } else {
+        if (isDebridCached(curated)) result = "kept: debrid cached";
+        else if (isMuchFaster(lower, curated, ratioNeed, deltaNeed, localPref.prefer_rule)) result = "downgraded";
+        else result = "kept: lower quality not much faster";
+        const sHigh = extractSeeders(curated);
+        const sLow = extractSeeders(lower);
+        detail = {
+          seeders: { [fromTag]: sHigh, [lowerTag]: sLow },
+          ratio: sHigh ? +(sLow / sHigh).toFixed(2) : null, // null: higher has 0 seeders
+          delta: sLow - sHigh,
+          need: { rule: localPref.prefer_rule, ratio: ratioNeed, delta: deltaNeed }
+        };
+      }
+      if (trace) trace.decisions.push({ step: `${fromTag} → ${lowerTag}`, result, ...detail });
+      if (result !== "downgraded") return;
+      curated = lower;
+      if (!trace) qualityDowngrades.inc({ from: fromTag, to: lowerTag });
+    };
+    tryDowngrade(["2160p", "1440p"], best1080, "1080p", localPref.prefer1080_ratio, localPref.prefer1080_delta);
+    tryDowngrade(["1080p"], best720, "720p", localPref.prefer720_ratio, localPref.prefer720_delta);
+    if (!trace) qualityPicks.inc({ quality: qualityTag(combinedLabel(curated)) });
+
+    // Assemble outputs (curated + extras for the configured output mode). Users
+    // with language settings also get the release's audio languages listed.
+    const showAudio = !!cfg.language && (cfg.language.audio.length > 0 || locale !== "en");
+    const makeCleanWithQ = (st) => {
+      const qTag = qualityTag(combinedLabel(st));
+      const details = [describeRelease(parsedOf(st)), showAudio ? audioLine(parsedOf(st), locale) : ""].filter(Boolean).join("\n");
+      const clean = `${niceName} — ${displayTag(qTag)}${details ? "\n" + details : ""}`;
+      const normalized = normalizeForResolver(st);
+      return {
+        obj: {
+          ...normalized,
+          title: clean,
+          name: "AutoStream",
+          behaviorHints: {
+            ...(normalized.behaviorHints || {}),
+            bingeGroup: bingeGroupFor(type, id, st),
+            // Stremio passes this on to subtitle add-ons (and our own subtitles resource)
+            filename: (normalized.behaviorHints && normalized.behaviorHints.filename) || parsedOf(st).name || undefined
+          }
+        },
+        qScore: qualityScoreFromTag(qTag),
+        rank: rankStream(st, profile),
+        source: st
+      };
+    };
+
+    const out = [];
+    const picked = [];
+    const pushUnique = (st) => {
+      if (!st) return;
+      const key = st.url || st.externalUrl || st.magnet || st.infoHash;
+      if (key && picked.some(p => (p.url || p.externalUrl || p.magnet || p.infoHash) === key)) return;
+      picked.push(st);
+      out.push(makeCleanWithQ(st));
+    };
+
+    pushUnique(curated);
+    if (cfg.output === "best+1080") {
+      // If curated isn't 1080p, also include best1080 (if different)
+      if (!is1080pLabel(combinedLabel(curated))) pushUnique(best1080);
+    } else if (cfg.output === "per-tier") {
+      // curated stays in; its own tier is then represented by the curated pick
+      const curTag = qualityTag(combinedLabel(curated));
+      [["2160p", best2160], ["1080p", best1080], ["720p", best720]]
+        .forEach(([tag, st]) => { if (tag !== curTag) pushUnique(st); });
+    } else if (cfg.output === "top-n") {
+      const ranked = candidates.slice().sort((a, b) => rankStream(b, profile) - rankStream(a, profile));
+      for (const st of ranked) {
+        if (out.length >= cfg.outputCount) break;
+        pushUnique(st);
+      }
+    }
+
+    if (trace) trace.picked = picked;
+    if (debrid && DEBRID.resolve && !trace) {
+      for (const pack of out) pack.obj = debridPlayable(pack.source, pack.obj, type, id);
+    }
+
+    // per-tier lists the tiers from the top; every other mode keeps the pick
+    // first and the rest in ranking order
+    if (cfg.output === "per-tier") out.sort((a, b) => b.qScore - a.qScore || b.rank - a.rank);
+    return { streams: out.map(x => x.obj), pick: curated };
+  }
+
+  // Cached entry point for the routes: identical concurrent lookups share one
+  // buildStreams call; results are kept for streams_ttl_ms (empty_ttl_ms if empty).
+  // The pick is remembered for the user however the result was obtained.
+  async function getStreams(type, id, cfg) {
+    catalogs.noteLookup(type, id);
+    const key = streamCacheKey(type, id, cfg);
+    let result = streamCache.get(key);
+    if (result) {
+      console.log("[AutoStream] Cache hit:", type, id);
+    } else if (inflight.has(key)) {
+      console.log("[AutoStream] Joining in-flight lookup:", type, id);
+      result = await inflight.get(key);
+    } else {
+      const job = buildStreams(type, id, cfg)
+        .then(r => {
+          streamCache.set(key, r, r.streams.length ? CACHE.streams_ttl_ms : CACHE.empty_ttl_ms);
+          return r;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, job);
+      result = await job;
+    }
+    if (result.pick) rememberPick(type, id, cfg, result.pick);
+    return result.streams;
+  }
+
+  // ── Subtitles ─────────────────────────────────────────────────────────────────
+  // Every subtitle_sources add-on is asked in parallel (same timeout, breaker and
+  // metrics as stream sources); results are filtered to the user's subtitle
+  // languages, else their audio languages, and ranked by rankSubtitles().
+  async function getSubtitles(type, id, extra, cfg) {
+    const playing = parseExtra(extra);
+    const forward = new URLSearchParams(Object.entries(playing).filter(([, v]) => v != null)).toString();
+    const report = SUBTITLE_SOURCES.map(source => ({ source, ok: false, count: 0, ms: null, error: null }));
+    const lists = await Promise.all(SUBTITLE_SOURCES.map(async (src, i) => {
+      if (!breakerAllows(src)) {
+        Object.assign(report[i], { error: "circuit open", skipped: true });
+        return [];
+      }
+      const started = Date.now();
+      try {
+        const u = `${src.replace(/\/+$/, "")}/subtitles/${encodeURIComponent(type)}/${encodeURIComponent(id)}${forward ? "/" + forward : ""}.json`;
+        const res = await upstreamFetch(u, { headers: { Accept: "application/json", "user-agent": "autostream/2.0" }, signal: AbortSignal.timeout(TIMEOUTS.source_ms) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        const list = Array.isArray(data.subtitles) ? data.subtitles : [];
+        Object.assign(report[i], { ok: true, count: list.length, ms: Date.now() - started });
+        recordSourceResult(src, true, report[i].ms);
+        return list;
+      } catch (e) {
+        const error = e && e.name === "TimeoutError" ? `timeout after ${TIMEOUTS.source_ms}ms` : (e && e.message) || String(e);
+        Object.assign(report[i], { ms: Date.now() - started, error });
+        recordSourceResult(src, false, report[i].ms, error);
+        console.error("Subtitle source failed:", src, error);
+        return [];
+      }
+    }));
+    recordSourceMetrics(report);
+    const subtitles = rankSubtitles(lists.flat(), { langs: subtitleLangs(cfg), playing, limit: MAX_SUBTITLES });
+    console.log(`[Subtitles] ${type} ${id}: ${subtitles.length} of ${lists.flat().length}`, playing.filename ? `(playing ${playing.filename})` : "");
+    return subtitles;
+  }
+
+  // ── Catalogs ("ready to stream" lists, lib/catalogs.js) ──────────────────────
+  // Pool titles are checked with the default settings; per-account debrid
+  // availability of their top candidates is checked when a catalog is opened.
+  const CATALOG_HASHES = 10;
+  async function checkCatalogTitle(type, id) {
+    const trace = newTrace();
+    const { pick } = await buildStreams(type, type === "series" ? `${id}:1:1` : id, readConfig({}), trace);
+    if (!pick) return null;
+    const info = await getTitleInfo(type, id);
+    const ranked = trace.candidates.slice().sort((a, b) => rankStream(b, trace.profile) - rankStream(a, trace.profile));
+    return {
+      name: info.title,
+      poster: info.poster,
+      year: info.year,
+      quality: displayTag(qualityTag(combinedLabel(pick))),
+      seeders: extractSeeders(pick),
+      hashes: [...new Set(ranked.map(infoHashOf).filter(Boolean))].slice(0, CATALOG_HASHES)
+    };
+  }
+  const catalogs = createCatalogStore({ settings: () => CATALOGS, check: checkCatalogTitle });
+
+  // Cached pool hashes per debrid account. Older than refresh_ms, the last
+  // answer is served while a new check runs; only an account's first request waits.
+  const debridAvailability = createTtlCache(() => CACHE.max_entries);
+  const availabilityChecks = new Map();
+  async function availableHashes(client, cfg) {
+    const key = `${client.id}|${crypto.createHash("sha256").update(cfg.apikey).digest("hex").slice(0, 16)}`;
+    const hit = debridAvailability.get(key);
+    if (hit && Date.now() - hit.at < CATALOGS.refresh_ms) return hit.hashes;
+    if (!availabilityChecks.has(key)) {
+      const hashes = catalogs.hashes();
+      const check = (hashes.length ? client.checkCached(hashes, AbortSignal.timeout(DEBRID.timeout_ms)) : Promise.resolve(new Map()))
+        .then(found => {
+          const available = new Set(hashes.filter(h => found.get(h)));
+          debridAvailability.set(key, { hashes: available, at: Date.now() }, CATALOGS.refresh_ms * 4);
+          return available;
+        })
+        .catch(e => {
+          console.warn(`[Catalogs] ${client.id} availability check failed:`, e.message || e);
+          return hit ? hit.hashes : new Set();
+        })
+        .finally(() => availabilityChecks.delete(key));
+      availabilityChecks.set(key, check);
+    }
+    return hit ? hit.hashes : availabilityChecks.get(key);
+  }
+
+  async function catalogMetas(type, id, cfg, skip) {
+    if (!CATALOGS.enabled) return [];
+    if (id === CATALOG_KINDS.seeded.id) return catalogs.list("seeded", type, { skip });
+    const client = id === CATALOG_KINDS.cached.id && debridClientFor(cfg);
+    if (!client) return [];
+    return catalogs.list("cached", type, { available: await availableHashes(client, cfg), skip });
+  }
+
+  // Cinemeta's meta with what AutoStream found in front of the description;
+  // without Cinemeta, what the catalog entry knows
+  // Only for titles in the catalogs: the manifest's "tt" prefix means Stremio
+  // asks about every IMDb title, and the rest are left to Cinemeta.
+  async function getMeta(type, id) {
+    const entry = catalogs.entry(type, id);
+    if (!entry) return null;
+    let meta = null;
+    try {
+      meta = await cinemetaMeta(type, id);
+    } catch (e) {
+      cinemetaFailures.inc();
+      console.warn("Cinemeta meta failed:", e?.message || e);
+    }
+    const base = meta || { id, type, name: entry.name, ...(entry.poster ? { poster: entry.poster } : {}) };
+    return { ...base, description: [`AutoStream: ${describeEntry(entry)}`, base.description].filter(Boolean).join("\n\n") };
+  }
+
+  // ── Explain (why a stream was picked) ─────────────────────────────────────────
+  // Uncached, traced buildStreams run. The API key is never echoed back.
+  async function explainStreams(type, id, cfg) {
+    const trace = newTrace();
+    const { streams } = await buildStreams(type, id, cfg, trace);
+    const profile = trace.profile || profileFor(cfg);
+    const kept = trace.candidates
+      .map(st => ({ ...explainCandidate(st, profile), picked: trace.picked.includes(st), rejectedBy: null }))
+      .sort((a, b) => b.score.total - a.score.total);
+    const rejected = trace.rejected
+      .map(r => ({ ...explainCandidate(r.stream, profile), picked: false, rejectedBy: `${r.reason} (${r.phase})` }));
+    return {
+      type,
+      id,
+      config: {
+        debrid: cfg.debrid,
+        apikey: cfg.apikey ? "set" : "",
+        cached: cfg.cached,
+        profile: RANK_PROFILES[cfg.profile] ? cfg.profile : "default",
+        ranking: cfg.ranking,
+        output: cfg.output === "top-n" ? `top-${cfg.outputCount}` : cfg.output,
+        filters: cfg.filters,
+        language: cfg.language,
+        connection: cfg.connection
+      },
+      history: (trace.profile && trace.profile.sticky) || null,
+      sources: trace.sources,
+      thresholds: trace.thresholds,
+      decisions: trace.decisions,
+      candidates: [...kept, ...rejected],
+      streams: streams.map(st => ({ title: st.title, bingeGroup: st.behaviorHints && st.behaviorHints.bingeGroup }))
+    };
+  }
+
+  // ── Web server (manual routes for manifest/stream) ────────────────────────────
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request log
+  app.use((req, _res, next) => { console.log("[REQ]", req.method, req.originalUrl); next(); });
+
+  // Request count and latency for the routes Stremio calls
+  app.use((req, res, next) => {
+    const route = /\/stream\//.test(req.path) ? "stream" : /\/manifest\.json$/.test(req.path) ? "manifest" : null;
+    if (!route) return next();
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      httpRequests.inc({ route, status: res.statusCode });
+      httpDuration.observe({ route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  });
+
+  // CORS (helpful in web envs)
+  app.use((_, res, next) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    next();
+  });
+
+  // Rate limits per client IP and per install token. Throttled Stremio resource
+  // requests (stream, subtitles, catalog) get 200 with an empty list, which the
+  // app shows as "nothing found" rather than an add-on error; everything else
+  // gets a 429.
+  const UNLIMITED_PATHS = new Set(["/health", "/metrics"]);
+  const EMPTY_LISTS = { stream: "streams", subtitles: "subtitles", catalog: "metas" };
+  app.use((req, res, next) => {
+    if (UNLIMITED_PATHS.has(req.path)) return next();
+    const token = (req.path.match(/^\/u\/([^/]+)\//) || [])[1];
+    const checks = [["ip", ipLimiter, req.ip]];
+    if (token) checks.push(["token", tokenLimiter, tokenDigest(token)]);
+    for (const [scope, limiter, key] of checks) {
+      const r = limiter.take(key);
+      if (r.ok) continue;
+      rateLimited.inc({ scope });
+      console.warn(`[RateLimit] ${scope} limit hit (${req.ip}), retry in ${r.retryAfterSec}s`);
+      res.setHeader("Retry-After", String(r.retryAfterSec));
+      const resource = (req.path.match(/^(?:\/u\/[^/]+)?\/(stream|subtitles|catalog)\//) || [])[1];
+      if (resource) return res.status(200).json({ [EMPTY_LISTS[resource]]: [] });
+      return res.status(429).json({ error: "Too many requests", retryAfterSec: r.retryAfterSec });
+    }
+    next();
+  });
+
+  // Trust proxy → build https URLs on Render
+  app.set("trust proxy", 1);
+
+  // --- Configure form. Settings of an existing install can be loaded into it
+  //     from its manifest URL (?manifest=…) or via Stremio's Configure button.
+  function sendConfigure(res, options = {}, status = 200) {
+    res.status(status);
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.end(configurePage(RANK_PROFILES, { thresholds: PREF, ...options }));
+  }
+
+  // Form values for the install behind `token`; the form carries the token
+  // along (`from`) so the saved API key is kept without being shown.
+  function installForm(token) {
+    const obj = decodeInstallToken(token);
+    if (!obj) return { notice: "These settings can't be read here (made by another server, or damaged); the form starts from the defaults." };
+    if (typeof obj.torrentio === "string") return { notice: "This install uses a Torrentio link; the form starts from the defaults." };
+    return { values: { ...formValues(obj), from: token } };
+  }
+
+  // A manifest URL: /u/<token>/manifest.json, or the old query-style one
+  function installFormFromUrl(text) {
+    let url;
+    try { url = new URL(text); } catch { return { notice: "That isn't a manifest URL." }; }
+    const token = (url.pathname.match(/\/u\/([^/]+)\/manifest\.json$/) || [])[1];
+    if (token) return installForm(decodeURIComponent(token));
+    if (!/\/manifest\.json$/.test(url.pathname)) return { notice: "That isn't a manifest URL." };
+    const q = Object.fromEntries(url.searchParams);
+    const cfg = readConfig(q);
+    return installForm(tokens.encode({
+      debridProvider: cfg.debrid,
+      debridApiKey: cfg.apikey,
+      preferCached: cfg.cached,
+      profile: cfg.profile,
+      output: cfg.output,
+      outputCount: cfg.outputCount,
+      language: cfg.language,
+      ...(cfg.connection ? { speedMbps: cfg.connection.mbps, usage: cfg.connection.usage } : {})
+    }));
+  }
+
+  app.get(["/", "/configure"], (req, res) => {
+    sendConfigure(res, req.query.manifest ? installFormFromUrl(String(req.query.manifest)) : {});
+  });
+  // Stremio's Configure button on an installed add-on; adds the history reset
+  app.get("/u/:cfg/configure", (req, res) => {
+    const { historyKey } = getConfig(req);
+    const historyInfo = historyKey && HISTORY.enabled
+      ? { titles: Object.keys(history.entries(historyKey)).length, resetUrl: `/u/${encodeURIComponent(req.params.cfg)}/history/reset` }
+      : null;
+    sendConfigure(res, { ...installForm(req.params.cfg), history: historyInfo });
+  });
+
+  function readForm(q, post) {
+    const from = (q.from || "").toString();
+    return readInstallForm(q, { post, profiles: RANK_PROFILES, previous: from ? decodeInstallToken(from) : null });
+  }
+
+  // POSTed by the form so the API key stays out of URLs; GET still works for links.
+  // Invalid settings send the form back with the errors.
+  function handleInstall(req, res) {
+    const post = req.method === "POST";
+    const { values, settings, errors } = readForm(post ? req.body || {} : req.query, post);
+    if (errors.length) return sendConfigure(res, { values, errors }, 400);
+    const manifestUrl = `${absoluteBase(req)}/u/${tokens.encode(settings)}/manifest.json`;
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.end(installPage(manifestUrl));
+  }
+  app.get("/install", handleInstall);
+  app.post("/install", handleInstall);
+
+  // --- Preview: what the form's settings pick for a sample title, before
+  //     installing. Runs the explain report with a throwaway token, so it goes
+  //     through exactly the config an install would get.
+  const PREVIEW_ID = /^tt\d+(:\d+:\d+)?$/;
+  app.post("/configure/preview", async (req, res) => {
+    const q = req.body || {};
+    const { settings, errors } = readForm(q, true);
+    const type = q.preview_type === "series" ? "series" : "movie";
+    const id = (q.preview_id || "").toString().trim();
+    if (!PREVIEW_ID.test(id)) errors.push("Sample title: an IMDb id like tt0111161, or tt0944947:1:1 for an episode");
+    const json = req.accepts(["html", "json"]) === "json";
+    const send = (status, body) => {
+      if (json) return res.status(status).json(body);
+      res.status(status);
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.end(previewPage(body));
+    };
+    if (errors.length) return send(400, { errors });
+    try {
+      send(200, await explainStreams(type, id, readConfig({}, tokens.encode(settings))));
+    } catch (e) {
+      console.error("Preview handler error:", e);
+      send(500, { errors: ["Preview failed; try again."] });
+    }
+  });
+
+  // --- Release history of one install: what's remembered, and starting over
+  app.get("/u/:cfg/history.json", (req, res) => {
+    const { historyKey } = getConfig(req);
+    if (!historyKey) return res.status(404).json({ error: "unknown install token" });
+    res.json({ enabled: HISTORY.enabled, titles: history.entries(historyKey) });
+  });
+  app.post("/u/:cfg/history/reset", (req, res) => {
+    const { historyKey } = getConfig(req);
+    if (!historyKey) return res.status(404).json({ error: "unknown install token" });
+    const titles = history.forget(historyKey);
+    console.log(`[History] reset by user (${titles} titles)`);
+    if (req.accepts(["json", "html"]) === "html") return res.redirect(303, `/u/${encodeURIComponent(req.params.cfg)}/configure`);
+    res.json({ reset: true, titles });
+  });
+
+  // --- Health: circuit state, error rate and recent latency per upstream
+  app.get("/health", (_, res) => {
+    const primary = SOURCES.map(e => e.name);
+    const fallback = FALLBACK_SOURCES.map(e => e.name);
+    const known = new Set([...primary, ...fallback, ...SUBTITLE_SOURCES, ...sourceHealth.keys()]);
+    const sources = [...known].map(src => ({
+      ...sourceHealthSummary(src),
+      role: primary.includes(src) ? "primary" : fallback.includes(src) ? "fallback"
+        : SUBTITLE_SOURCES.includes(src) ? "subtitles" : "dynamic"
+    }));
+    const down = sources.filter(s => s.state !== "closed").length;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({
+      status: down === 0 ? "ok" : down === sources.length ? "down" : "degraded",
+      uptimeSec: Math.round(process.uptime()),
+      breaker: BREAKER,
+      cache: { streams: streamCache.size, labels: labelCache.size, inflight: inflight.size },
+      upstream: { active: upstreamSlots.active, waiting: upstreamSlots.waiting, limit: RATE_LIMIT.upstream_concurrency },
+      history: { enabled: HISTORY.enabled, users: history.size },
+      catalogs: { enabled: CATALOGS.enabled, titles: catalogs.size },
+      sources
+    }, null, 2));
+  });
+
+  // --- Metrics (Prometheus scrape target)
+  app.get("/metrics", (_, res) => {
+    res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+    res.end(metrics.render());
+  });
+
+  // --- Manifest routes
+  app.get("/manifest.json", (req, res) => {
+    const cfg = getConfig(req);
+    console.log("[MANIFEST] cfg from query/token:", cfg);
+    res.setHeader("Content-Type", "application/json");
+    res.end(manifestJson(cfg));
+  });
+
+  // Support legacy token prefix too: /u/:cfg/manifest.json
+  app.get("/u/:cfg/manifest.json", (req, res) => {
+    const cfg = getConfig(req);
+    console.log("[MANIFEST/u] cfg from token:", cfg);
+    res.setHeader("Content-Type", "application/json");
+    res.end(manifestJson(cfg));
+  });
+
+  // --- Stream routes (this is what Stremio calls when you open a title)
+  // Play paths of cached picks become URLs below the same token or query.
+  function withPlayLinks(streams, req) {
+    const base = req.params.cfg ? `${absoluteBase(req)}/u/${req.params.cfg}` : absoluteBase(req);
+    const query = req.originalUrl.includes("?") ? req.originalUrl.slice(req.originalUrl.indexOf("?")) : "";
+    return streams.map(({ playPath, ...st }) => (playPath ? { ...st, url: `${base}/${playPath}${query}` } : st));
+  }
+
+  app.get("/stream/:type/:id.json", async (req, res) => {
+    const cfg = getConfig(req);
+    console.log("[STREAM args]", { type: req.params.type, id: req.params.id, cfg });
+
+    try {
+      const streams = withPlayLinks(await getStreams(req.params.type, req.params.id, cfg), req);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ streams }));
+    } catch (e) {
+      console.error("Stream handler error:", e);
+      res.status(200).json({ streams: [] });
+    }
+  });
+
+  // Legacy token path: /u/:cfg/stream/:type/:id.json
+  app.get("/u/:cfg/stream/:type/:id.json", async (req, res) => {
+    const cfg = getConfig(req);
+    console.log("[STREAM/u args]", { type: req.params.type, id: req.params.id, cfg });
+
+    try {
+      const streams = withPlayLinks(await getStreams(req.params.type, req.params.id, cfg), req);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ streams }));
+    } catch (e) {
+      console.error("Stream handler error:", e);
+      res.status(200).json({ streams: [] });
+    }
+  });
+
+  // --- Play route: a cached pick is resolved on the user's debrid when it is
+  // played; the player follows the redirect to the direct link
+  async function handlePlay(req, res) {
+    const { type, id, hash, file } = req.params;
+    const client = debridClientFor(getConfig(req));
+    if (!client || !/^[a-f0-9]{40}$/.test(hash)) return res.status(404).end();
+    // for season packs the episode picks the file when there is no index
+    const want = { fileIdx: /^\d+$/.test(file) ? Number(file) : undefined, ...(parseEpisodeId(type, id) || {}) };
+    try {
+      const link = await client.resolve(buildMagnet({ infoHash: hash }), want, AbortSignal.timeout(DEBRID.timeout_ms));
+      if (!link) return res.status(404).end();
+      res.redirect(302, link);
+    } catch (e) {
+      console.warn(`[Debrid] ${client.id} resolve failed:`, e.message || e);
+      res.status(502).end();
+    }
+  }
+  app.get("/play/:type/:id/:hash/:file", handlePlay);
+  app.get("/u/:cfg/play/:type/:id/:hash/:file", handlePlay);
+
+  // --- Explain routes: every candidate, its score and the decisions behind the pick
+  async function handleExplain(req, res) {
+    const { type, id } = req.params;
+    const cfg = getConfig(req);
+    try {
+      const report = await explainStreams(type, id, cfg);
+      if (req.params.format === "html") {
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        return res.end(explainPage(report));
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(report, null, 2));
+    } catch (e) {
+      console.error("Explain handler error:", e);
+      res.status(500).json({ error: "explain failed" });
+    }
+  }
+  app.get("/explain/:type/:id.:format(json|html)", handleExplain);
+  app.get("/u/:cfg/explain/:type/:id.:format(json|html)", handleExplain);
+
+  // --- Subtitles routes; Stremio adds "videoHash=…&filename=…" as the extra segment
+  async function handleSubtitles(req, res) {
+    const { type, id, extra } = req.params;
+    const cfg = getConfig(req);
+    try {
+      const subtitles = await getSubtitles(type, id, extra, cfg);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ subtitles }));
+    } catch (e) {
+      console.error("Subtitles handler error:", e);
+      res.status(200).json({ subtitles: [] });
+    }
+  }
+  app.get("/subtitles/:type/:id.json", handleSubtitles);
+  app.get("/subtitles/:type/:id/:extra.json", handleSubtitles);
+  app.get("/u/:cfg/subtitles/:type/:id.json", handleSubtitles);
+  app.get("/u/:cfg/subtitles/:type/:id/:extra.json", handleSubtitles);
+
+  // --- Catalog and meta routes; Stremio adds "skip=100" as the extra segment when paging
+  async function handleCatalog(req, res) {
+    const { type, id, extra } = req.params;
+    const cfg = getConfig(req);
+    const skip = parseInt(new URLSearchParams(String(extra || "")).get("skip"), 10) || 0;
+    try {
+      const metas = await catalogMetas(type, id, cfg, Math.max(0, skip));
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ metas }));
+    } catch (e) {
+      console.error("Catalog handler error:", e);
+      res.status(200).json({ metas: [] });
+    }
+  }
+  app.get("/catalog/:type/:id.json", handleCatalog);
+  app.get("/catalog/:type/:id/:extra.json", handleCatalog);
+  app.get("/u/:cfg/catalog/:type/:id.json", handleCatalog);
+  app.get("/u/:cfg/catalog/:type/:id/:extra.json", handleCatalog);
+
+  async function handleMeta(req, res) {
+    const { type, id } = req.params;
+    try {
+      const meta = await getMeta(type, id);
+      if (!meta) return res.status(404).json({ meta: null });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ meta }));
+    } catch (e) {
+      console.error("Meta handler error:", e);
+      res.status(404).json({ meta: null });
+    }
+  }
+  app.get("/meta/:type/:id.json", handleMeta);
+  app.get("/u/:cfg/meta/:type/:id.json", handleMeta);
+
+  // ── Settings summary (startup and reload logs) ────────────────────────────────
+  function logSettings() {
+    console.log("Primary sources:", describeSources(SOURCES));
+    console.log("Fallback sources:", describeSources(FALLBACK_SOURCES));
+    console.log("Subtitle sources:", SUBTITLE_SOURCES);
+    console.log("Lower-quality prefs:", PREF);
+    console.log("Timeouts:", TIMEOUTS);
+    console.log("Cache:", CACHE);
+    console.log("Breaker:", BREAKER);
+    console.log("Rate limits:", RATE_LIMIT);
+    console.log("Ranking profiles:", Object.keys(RANK_PROFILES));
+    console.log("Bandwidth estimates:", { per_seeder_mbps: BANDWIDTH.per_seeder_mbps, stream_headroom: BANDWIDTH.stream_headroom, download_factor: BANDWIDTH.download_factor });
+    console.log("Debrid:", { check_cached: DEBRID.check_cached, resolve: DEBRID.resolve, timeout_ms: DEBRID.timeout_ms });
+    console.log("History:", { ...HISTORY, file: historyFile || "(memory only)" });
+    console.log("Catalogs:", CATALOGS.enabled ? { ...CATALOGS, movies: CATALOGS.movies.length, series: CATALOGS.series.length } : "disabled");
+  }
+
+  // A new config drops cached streams: sources or ranking may have changed.
+  // Catalogs restart with it, so a changed schedule or title list applies now.
+  function reconfigure(next) {
+    applyConfig(next);
+    streamCache.clear();
+    catalogs.start();
+  }
+
+  catalogs.start();
+  return { app, applyConfig: reconfigure, logSettings, history, catalogs };
+}
+
+module.exports = { createApp, manifest };
@@ -0,0 +1,69 @@
+// lib/bandwidth.js
+// "Will this play without buffering?" estimates for users who told us their
+// connection speed. Everything here is deliberately rough:
+//
+//   bitrate    = file size / runtime          (per-tier typical bitrate if unknown)
+//   throughput = connection speed            (debrid cached: served from their CDN)
+//              = min(connection, seeders × per_seeder_mbps)   (plain torrent)
+//
+// `margin` is how comfortably a candidate fits; >= 1 means it's playable:
+//   stream   — throughput / (bitrate × stream_headroom)
+//   download — (runtime × download_factor) / download time
+
+const USAGES = ["stream", "download"];
+
+/** Speed (Mbit/s) + usage from a token/query → { mbps, usage } or null */
+function normalizeConnection(speed, usage) {
+  const mbps = parseFloat(speed);
+  if (!(mbps > 0)) return null;
+  return { mbps: Math.min(mbps, 10000), usage: USAGES.includes(usage) ? usage : "stream" };
+}
+
+// Cinemeta runtimes look like "142 min", "2h 22min" or "45"
+function parseRuntime(text) {
+  const s = String(text || "");
+  const h = s.match(/(\d+)\s*h/i);
+  const m = s.match(/(\d+)\s*m/i) || (!h && s.match(/^\s*(\d+)\s*$/));
+  const total = (h ? parseInt(h[1], 10) * 60 : 0) + (m ? parseInt(m[1], 10) : 0);
+  return total > 0 ? total : null;
+}
+
+/**
+ * @param {{ quality: string, sizeBytes: number|null, seeders: number, cached: boolean, runtimeMin: number }} c
+ * @param {{ mbps: number, usage: string }} connection
+ * @param {object} settings config.bandwidth
+ */
+function estimatePlayback(c, connection, settings) {
+  const seconds = c.runtimeMin * 60;
+  const bitrateMbps = c.sizeBytes
+    ? (c.sizeBytes * 8) / seconds / 1e6
+    : settings.bitrate_mbps[c.quality] ?? settings.bitrate_mbps.SD;
+  const throughputMbps = c.cached
+    ? connection.mbps
+    : Math.min(connection.mbps, (c.seeders || 0) * settings.per_seeder_mbps);
+
+  let margin;
+  if (connection.usage === "download") {
+    const downloadMin = throughputMbps > 0 ? (bitrateMbps * seconds) / throughputMbps / 60 : Infinity;
+    margin = (c.runtimeMin * settings.download_factor) / downloadMin;
+  } else {
+    margin = throughputMbps / (bitrateMbps * settings.stream_headroom);
+  }
+  return {
+    bitrateMbps: round(bitrateMbps),
+    throughputMbps: round(throughputMbps),
+    margin: round(margin),
+    playable: margin >= 1
+  };
+}
+
+// Keep the higher quality whenever it plays; otherwise take the lower one if
+// it plays or at least buffers less.
+function prefersLower(lower, higher) {
+  if (higher.playable) return false;
+  return lower.playable || lower.margin > higher.margin;
+}
+
+function round(n) { return Math.round(n * 100) / 100; }
+
+module.exports = { USAGES, normalizeConnection, parseRuntime, estimatePlayback, prefersLower };
@@ -0,0 +1,139 @@
+// lib/catalogs.js
+// "Ready to stream" catalogs. A pool of titles (the movies / series listed in
+// config plus, with include_recent, titles users looked up lately) is run
+// through the stream pipeline in the background every refresh_ms; check() in
+// lib/app.js does one title. The catalogs are views of the last results:
+//
+//   autostream-seeded  well-seeded new releases: best pick has >= min_seeders and
+//                      the title came out within recent_years (0: any year)
+//   autostream-cached  instantly available on the user's debrid: one of the
+//                      title's top candidates is cached (hashes checked per account)
+//
+// An entry is { type, id, name, poster, year, quality, seeders, hashes, checkedAt }.
+// Settings come from settings() on every call, so a config reload applies at once.
+
+const CATALOGS = {
+  seeded: { id: "autostream-seeded", name: "Well-seeded new releases" },
+  cached: { id: "autostream-cached", name: "Instantly available on your debrid" }
+};
+const TYPES = ["movie", "series"];
+const PAGE_SIZE = 100;
+const IMDB_ID = /^tt\d+$/;
+
+/** "1080p · 900 seeders" for an entry */
+function describeEntry(e) {
+  return `${e.quality} · ${e.seeders} seeders`;
+}
+
+// Stremio catalog item
+function metaPreview(e) {
+  return {
+    id: e.id,
+    type: e.type,
+    name: e.name,
+    ...(e.poster ? { poster: e.poster } : {}),
+    ...(e.year ? { releaseInfo: String(e.year) } : {}),
+    description: `AutoStream: ${describeEntry(e)}`
+  };
+}
+
+/**
+ * @param {{ settings: () => object, check: (type: string, id: string) => Promise<object|null>, now?: () => number }} options
+ *   check() resolves to { name, poster, year, quality, seeders, hashes } or null when nothing streams
+ */
+function createCatalogStore({ settings, check, now = Date.now }) {
+  const recent = new Map();  // "type|id" → last lookup; insertion order is recency order
+  const entries = new Map(); // "type|id" → entry
+  let running = null;
+  let timer = null;
+
+  function noteLookup(type, id) {
+    const s = settings();
+    const imdb = String(id).split(":")[0];
+    if (!s.enabled || !s.include_recent || !TYPES.includes(type) || !IMDB_ID.test(imdb)) return;
+    const key = `${type}|${imdb}`;
+    recent.delete(key);
+    recent.set(key, now());
+    while (recent.size > s.max_titles) recent.delete(recent.keys().next().value);
+  }
+
+  // Configured titles first, then the most recent lookups
+  function pool() {
+    const s = settings();
+    const keys = [
+      ...s.movies.map(id => `movie|${id}`),
+      ...s.series.map(id => `series|${id}`),
+      ...(s.include_recent ? [...recent.keys()].reverse() : [])
+    ];
+    return [...new Set(keys)].slice(0, s.max_titles);
+  }
+
+  // One title at a time, so a refresh never crowds out users' lookups. A title
+  // whose check fails keeps its last entry.
+  async function checkAll() {
+    const keys = pool();
+    for (const key of keys) {
+      const [type, id] = key.split("|");
+      try {
+        const found = await check(type, id);
+        if (found) entries.set(key, { type, id, ...found, checkedAt: now() });
+        else entries.delete(key);
+      } catch (e) {
+        console.warn(`[Catalogs] ${type} ${id} check failed:`, e.message || e);
+      }
+    }
+    for (const key of entries.keys()) if (!keys.includes(key)) entries.delete(key);
+  }
+
+  /** Re-checks the pool; joins the run in progress if there is one */
+  function refresh() {
+    if (!running) running = checkAll().finally(() => { running = null; });
+    return running;
+  }
+
+  /** (Re)starts the schedule: a refresh now, then every refresh_ms */
+  function start() {
+    stop();
+    const { enabled, refresh_ms } = settings();
+    if (!enabled) return;
+    timer = setInterval(refresh, refresh_ms);
+    timer.unref();
+    refresh();
+  }
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * One page of a catalog as Stremio catalog items.
+   * @param {"seeded"|"cached"} kind
+   * @param {{ available?: Set<string>, skip?: number }} [options] available: the account's cached hashes
+   */
+  function list(kind, type, { available = new Set(), skip = 0 } = {}) {
+    const s = settings();
+    const oldest = new Date(now()).getFullYear() - s.recent_years + 1;
+    const keep = kind === "seeded"
+      ? e => e.seeders >= s.min_seeders && (!s.recent_years || (e.year && e.year >= oldest))
+      : e => e.hashes.some(h => available.has(h));
+    return [...entries.values()]
+      .filter(e => e.type === type && keep(e))
+      .sort((a, b) => b.seeders - a.seeders)
+      .slice(skip, skip + PAGE_SIZE)
+      .map(metaPreview);
+  }
+
+  /** The entry for a title, or null */
+  function entry(type, id) {
+    return entries.get(`${type}|${id}`) || null;
+  }
+
+  /** Every candidate hash in the pool, for debrid availability checks */
+  function hashes() {
+    return [...new Set([...entries.values()].flatMap(e => e.hashes))];
+  }
+
+  return { noteLookup, refresh, start, stop, list, entry, hashes, get size() { return entries.size; } };
+}
+
+module.exports = { createCatalogStore, describeEntry, CATALOGS, PAGE_SIZE };
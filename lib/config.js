@@ -0,0 +1,377 @@
+// lib/config.js
+// config.json defaults, schema validation and environment overrides.
+//
+// Any setting can be overridden with AUTOSTREAM__<SECTION>[__<KEY>] env vars
+// (case-insensitive), e.g.
+//   AUTOSTREAM__SOURCES="https://a.example,https://b.example"
+//   AUTOSTREAM__PREFER_LOWER_QUALITY__PREFER_RULE=ratio_and_delta
+//   AUTOSTREAM__TIMEOUTS__DEADLINE_MS=12000
+// Values are parsed as JSON when possible, lists also accept comma-separated text.
+const fs = require("fs");
+const { ADAPTER_NAMES } = require("./sources");
+
+// ── Defaults ──────────────────────────────────────────────────────────────────
+const DEFAULTS = {
+  // each entry is a URL or { url, adapter, name, query }; see lib/sources.js
+  sources: [],
+  fallback_sources: [],
+  // Stremio subtitle add-ons behind our own subtitles resource (base URLs)
+  subtitle_sources: [],
+  // thresholds for "prefer lower quality if MUCH faster"
+  prefer_lower_quality: {
+    // "ratio_and_delta" | "ratio_or_delta"
+    prefer_rule: "ratio_and_delta",
+    prefer1080_ratio: 2.0,
+    prefer1080_delta: 500,
+    prefer720_ratio: 3.0,
+    prefer720_delta: 1000
+  },
+  // upstream timing: each source gets its own timeout, the whole lookup a deadline
+  timeouts: {
+    source_ms: 6000,
+    deadline_ms: 9000
+  },
+  // response caching: stream lists by result kind, Cinemeta labels much longer
+  cache: {
+    streams_ttl_ms: 10 * 60 * 1000,
+    empty_ttl_ms: 60 * 1000,
+    label_ttl_ms: 24 * 60 * 60 * 1000,
+    max_entries: 2000
+  },
+  // circuit breaker per source: open after N straight failures, probe after cooldown
+  breaker: {
+    failure_threshold: 5,
+    cooldown_ms: 60 * 1000,
+    window: 50
+  },
+  // abuse protection: token buckets per client IP and per install token
+  // (sustained rate + burst), and a cap on concurrent upstream requests
+  // (add-ons, Cinemeta, subtitles, debrid) across all users; 0 disables
+  rate_limit: {
+    ip_per_minute: 60,
+    ip_burst: 30,
+    token_per_minute: 60,
+    token_burst: 30,
+    max_keys: 10000,
+    upstream_concurrency: 16
+  },
+  // direct debrid API access (availability checks + link resolution); the base
+  // URLs can be pointed at a mock server
+  debrid: {
+    check_cached: true,
+    resolve: true,
+    timeout_ms: 5000,
+    agent: "autostream",
+    realdebrid_url: "https://api.real-debrid.com/rest/1.0",
+    alldebrid_url: "https://api.alldebrid.com/v4",
+    premiumize_url: "https://www.premiumize.me/api"
+  },
+  // per-install memory of the release picked for each series, so later
+  // episodes stick with the same group / resolution / source (lib/history.js);
+  // file is relative to the add-on directory, "" keeps history in memory only;
+  // retention_days 0 keeps entries until the size limits push them out
+  history: {
+    enabled: true,
+    file: "history.json",
+    retention_days: 90,
+    max_users: 10000,
+    max_titles_per_user: 200
+  },
+  // "ready to stream" catalogs (lib/catalogs.js): the movies / series listed
+  // here (IMDb ids) plus, with include_recent, titles users looked up lately,
+  // re-checked in the background every refresh_ms; series by their first episode.
+  // "New releases" came out within recent_years (0: any year).
+  catalogs: {
+    enabled: false,
+    movies: [],
+    series: [],
+    include_recent: true,
+    max_titles: 200,
+    refresh_ms: 30 * 60 * 1000,
+    min_seeders: 100,
+    recent_years: 2
+  },
+  // playback estimates for users who set a connection speed (lib/bandwidth.js);
+  // these replace the prefer_lower_quality thresholds for them
+  bandwidth: {
+    per_seeder_mbps: 0.3,
+    stream_headroom: 1.25,
+    download_factor: 2,
+    movie_runtime_min: 110,
+    series_runtime_min: 45,
+    // typical bitrate per tier, used when a release doesn't state its size
+    bitrate_mbps: { "2160p": 25, "1440p": 14, "1080p": 8, "720p": 4, "480p": 2, "CAM": 1.5, "SD": 1.5 }
+  },
+  ranking_profiles: {}
+};
+
+// ranking profiles: "default" is the original rankStream formula; every
+// profile in config.ranking_profiles is layered over it, so a profile only
+// needs to list the weights it changes.
+const DEFAULT_PROFILE = {
+  label: "Balanced (default)",
+  quality: { "2160p": 4000, "1440p": 1440, "1080p": 1080, "720p": 720, "480p": 480, "CAM": 10, "SD": 360 },
+  seeders_weight: 200,     // points per log1p(seeders)
+  source_bonus: 30,        // REMUX / BluRay / WEB-DL / WEBRip
+  debrid_bonus: 20,        // label carries a debrid marker ("[RD+]" …)
+  hevc_bonus: 10,          // HEVC / x265
+  cached_bonus: 1000,      // instantly available on the user's debrid
+  pack_penalty: 500,       // season pack without a fileIdx
+  buffering_penalty: 1500, // scaled by how far a candidate falls short of playing smoothly
+  language_bonus: 400,     // first preferred audio language; later ones get a share
+  language_penalty: 600,   // none of the user's preferred audio languages
+  sticky_bonus: 600,       // same release group as the user's earlier episodes
+  bonuses: {},             // extra { keyword: points }
+  penalties: {},           // { keyword: points } subtracted
+  prefer_lower_quality: {} // overrides for the PREF downgrade thresholds
+};
+
+// ── Schema ────────────────────────────────────────────────────────────────────
+const num = (min = -Infinity, max = Infinity) => ({ type: "number", min, max });
+const int = (min = 0, max = Infinity) => ({ type: "number", integer: true, min, max });
+const bool = { type: "boolean" };
+const str = { type: "string" };
+const url = { type: "url" };
+const imdb = { type: "imdb" };
+const obj = fields => ({ type: "object", fields });
+const map = of => ({ type: "map", of });
+const list = of => ({ type: "array", of });
+
+// A source is a plain URL (adapter picked from it) or an object naming one
+const SOURCE_FIELDS = {
+  url,
+  adapter: { type: "enum", values: ADAPTER_NAMES },
+  name: str,
+  query: map(str)
+};
+const source = { type: "source", fields: SOURCE_FIELDS };
+
+const PREF_FIELDS = {
+  prefer_rule: { type: "enum", values: ["ratio_and_delta", "ratio_or_delta"] },
+  prefer1080_ratio: num(0),
+  prefer1080_delta: num(0),
+  prefer720_ratio: num(0),
+  prefer720_delta: num(0)
+};
+const PROFILE_FIELDS = {
+  label: str,
+  quality: obj(Object.fromEntries(Object.keys(DEFAULT_PROFILE.quality).map(tag => [tag, num()]))),
+  seeders_weight: num(0),
+  source_bonus: num(),
+  debrid_bonus: num(),
+  hevc_bonus: num(),
+  cached_bonus: num(),
+  pack_penalty: num(),
+  buffering_penalty: num(0),
+  language_bonus: num(0),
+  language_penalty: num(0),
+  sticky_bonus: num(0),
+  bonuses: map(num()),
+  penalties: map(num()),
+  prefer_lower_quality: obj(PREF_FIELDS)
+};
+const SCHEMA = obj({
+  sources: list(source),
+  fallback_sources: list(source),
+  subtitle_sources: list(url),
+  prefer_lower_quality: obj(PREF_FIELDS),
+  timeouts: obj({ source_ms: int(1), deadline_ms: int(1) }),
+  cache: obj({ streams_ttl_ms: int(0), empty_ttl_ms: int(0), label_ttl_ms: int(0), max_entries: int(1) }),
+  breaker: obj({ failure_threshold: int(1), cooldown_ms: int(0), window: int(1) }),
+  rate_limit: obj({
+    ip_per_minute: num(0),
+    ip_burst: int(0),
+    token_per_minute: num(0),
+    token_burst: int(0),
+    max_keys: int(1),
+    upstream_concurrency: int(0)
+  }),
+  debrid: obj({
+    check_cached: bool,
+    resolve: bool,
+    timeout_ms: int(1),
+    agent: str,
+    realdebrid_url: url,
+    alldebrid_url: url,
+    premiumize_url: url
+  }),
+  history: obj({
+    enabled: bool,
+    file: str,
+    retention_days: int(0),
+    max_users: int(1),
+    max_titles_per_user: int(1)
+  }),
+  catalogs: obj({
+    enabled: bool,
+    movies: list(imdb),
+    series: list(imdb),
+    include_recent: bool,
+    max_titles: int(1),
+    refresh_ms: int(10000),
+    min_seeders: int(0),
+    recent_years: int(0)
+  }),
+  bandwidth: obj({
+    per_seeder_mbps: num(0),
+    stream_headroom: num(0),
+    download_factor: num(0),
+    movie_runtime_min: int(1),
+    series_runtime_min: int(1),
+    bitrate_mbps: obj(Object.fromEntries(Object.keys(DEFAULT_PROFILE.quality).map(tag => [tag, num(0)])))
+  }),
+  ranking_profiles: map(obj(PROFILE_FIELDS))
+});
+
+// ── Validation ────────────────────────────────────────────────────────────────
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+function suggest(key, known) {
+  const best = known.map(k => [k, editDistance(key.toLowerCase(), k.toLowerCase())]).sort((x, y) => x[1] - y[1])[0];
+  return best && best[1] <= Math.max(2, Math.floor(best[0].length / 3)) ? ` (did you mean "${best[0]}"?)` : "";
+}
+
+function check(value, schema, where, errors) {
+  const at = where || "config";
+  const got = JSON.stringify(value);
+  switch (schema.type) {
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return errors.push(`${at}: must be a number (got ${got})`);
+      if (schema.integer && !Number.isInteger(value)) return errors.push(`${at}: must be a whole number (got ${got})`);
+      if (value < schema.min) return errors.push(`${at}: must be >= ${schema.min} (got ${got})`);
+      if (value > schema.max) return errors.push(`${at}: must be <= ${schema.max} (got ${got})`);
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${at}: must be true or false (got ${got})`);
+      return;
+    case "string":
+      if (typeof value !== "string") errors.push(`${at}: must be a string (got ${got})`);
+      return;
+    case "enum":
+      if (!schema.values.includes(value)) errors.push(`${at}: must be one of ${schema.values.map(v => `"${v}"`).join(", ")} (got ${got})`);
+      return;
+    case "url":
+      if (typeof value !== "string" || !/^https?:\/\/[^\s/]+/i.test(value)) errors.push(`${at}: must be an http(s) URL (got ${got})`);
+      return;
+    case "imdb":
+      if (typeof value !== "string" || !/^tt\d+$/.test(value)) errors.push(`${at}: must be an IMDb id like "tt0111161" (got ${got})`);
+      return;
+    case "array":
+      if (!Array.isArray(value)) return errors.push(`${at}: must be a list (got ${got})`);
+      value.forEach((v, i) => check(v, schema.of, `${at}[${i}]`, errors));
+      return;
+    case "source":
+      if (typeof value === "string") return check(value, url, at, errors);
+      if (value && typeof value === "object" && typeof value.url !== "string") return errors.push(`${at}.url: required`);
+      return check(value, { type: "object", fields: schema.fields }, where, errors);
+    case "map":
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return errors.push(`${at}: must be an object (got ${got})`);
+      for (const [k, v] of Object.entries(value)) {
+        const path = where ? `${where}.${k}` : k;
+        if (schema.type === "map") { check(v, schema.of, path, errors); continue; }
+        const field = schema.fields[k];
+        if (!field) { errors.push(`${path}: unknown setting${suggest(k, Object.keys(schema.fields))}`); continue; }
+        check(v, field, path, errors);
+      }
+      return;
+    }
+  }
+}
+
+// Defaults layered under the (validated) raw config, one level deep per section.
+function withDefaults(raw) {
+  const out = {};
+  for (const [key, def] of Object.entries(DEFAULTS)) {
+    const v = raw[key];
+    if (v === undefined) out[key] = def;
+    else if (def && typeof def === "object" && !Array.isArray(def)) out[key] = { ...def, ...v };
+    else out[key] = v;
+  }
+  return out;
+}
+
+/** @returns {{ config: object, errors: string[] }} config has defaults applied */
+function validateConfig(raw) {
+  const errors = [];
+  check(raw, SCHEMA, "", errors);
+  if (!errors.length) {
+    const t = { ...DEFAULTS.timeouts, ...(raw.timeouts || {}) };
+    if (t.deadline_ms < t.source_ms) errors.push(`timeouts.deadline_ms: must be >= timeouts.source_ms (${t.source_ms})`);
+  }
+  return { config: errors.length ? null : withDefaults(raw), errors };
+}
+
+// ── Environment overrides ─────────────────────────────────────────────────────
+function schemaAt(path) {
+  let s = SCHEMA;
+  for (const key of path) {
+    if (!s) return null;
+    s = s.type === "map" ? s.of : s.type === "object" ? s.fields[key] : null;
+  }
+  return s;
+}
+function parseEnvValue(text, schema) {
+  try { return JSON.parse(text); } catch { /* plain text */ }
+  if (schema && schema.type === "array") return text.split(",").map(x => x.trim()).filter(Boolean);
+  return text;
+}
+
+/** Copy of `raw` with AUTOSTREAM__SECTION__KEY env vars applied. */
+function applyEnvOverrides(raw, env = process.env) {
+  const out = JSON.parse(JSON.stringify(raw || {}));
+  const applied = [];
+  for (const [name, text] of Object.entries(env)) {
+    if (!/^AUTOSTREAM__/i.test(name) || text == null) continue;
+    const path = name.slice("AUTOSTREAM__".length).toLowerCase().split("__").filter(Boolean);
+    if (!path.length) continue;
+    let target = out;
+    for (const key of path.slice(0, -1)) {
+      if (!target[key] || typeof target[key] !== "object") target[key] = {};
+      target = target[key];
+    }
+    target[path[path.length - 1]] = parseEnvValue(text, schemaAt(path));
+    applied.push(name);
+  }
+  return { raw: out, applied };
+}
+
+/**
+ * Read config.json, apply env overrides and validate.
+ * A missing file is not an error: defaults (plus env) are used.
+ * @returns {{ config: object|null, errors: string[], applied: string[], missing: boolean }}
+ */
+function loadConfig(file, env = process.env) {
+  let raw = {};
+  let missing = false;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") missing = true;
+    else return { config: null, errors: [`${file}: ${e.message}`], applied: [], missing };
+  }
+  const { raw: merged, applied } = applyEnvOverrides(raw, env);
+  const { config, errors } = validateConfig(merged);
+  return { config, errors, applied, missing };
+}
+
+/**
+ * loadConfig for hot reloads: here a missing file is an error too, so deleting
+ * config.json (or an editor's rename-then-write save) never swaps the running
+ * config for the defaults.
+ */
+function loadConfigForReload(file, env = process.env) {
+  const loaded = loadConfig(file, env);
+  if (!loaded.missing) return loaded;
+  return { ...loaded, config: null, errors: [`${file}: not found`] };
+}
+
+module.exports = { DEFAULTS, DEFAULT_PROFILE, validateConfig, applyEnvOverrides, loadConfig, loadConfigForReload };
@@ -0,0 +1,226 @@
+// lib/debrid.js
+// Direct debrid API clients. Every provider is wrapped in the same adapter
+// shape so buildStreams doesn't care which one a user picked:
+//
+//   {
+//     id,                                        // "realdebrid" | "alldebrid" | "premiumize"
+//     checkCached(hashes, signal) → Map<hash, boolean>
+//     resolve(magnet, { fileIdx, filename }, signal) → direct https link | null
+//   }
+//
+// Base URLs and the fetch implementation are injectable so the adapters can be
+// pointed at a local mock server.
+
+const VIDEO_EXT = /\.(?:mkv|mp4|avi|m4v|mov|wmv|webm|ts|m2ts)$/i;
+
+// ── Shared helpers ────────────────────────────────────────────────────────────
+async function call(fetchImpl, url, { method = "GET", headers = {}, form, signal, label } = {}) {
+  const res = await fetchImpl(url.toString(), {
+    method,
+    headers: {
+      Accept: "application/json",
+      "user-agent": "autostream/2.0",
+      ...(form ? { "content-type": "application/x-www-form-urlencoded" } : {}),
+      ...headers
+    },
+    body: form ? new URLSearchParams(form).toString() : undefined,
+    signal
+  });
+  const text = await res.text();
+  let data = {};
+  try { data = text ? JSON.parse(text) : {}; } catch { data = {}; }
+  if (!res.ok) {
+    const detail = typeof data.error === "string" ? data.error : (data.error && data.error.message) || data.message || "";
+    throw new Error(`${label} HTTP ${res.status}${detail ? `: ${detail}` : ""}`);
+  }
+  return data;
+}
+
+function chunks(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+// files: [{ id, name, size }] in torrent order. Prefer the requested index,
+// then a filename match, then (for season packs) the wanted episode's file,
+// then the largest video file. A pack without the wanted episode gives null,
+// as does a lone file named for another episode.
+const EPISODE_MARKER = /\bS\d{1,2}[ ._-]?E\d{1,3}|(?:^|[\s._\-[(/])\d{1,2}x\d{2,3}(?=$|[\s._\-\])])/i;
+function pickFile(files, { fileIdx, filename, season, episode } = {}) {
+  if (!files || !files.length) return null;
+  if (Number.isInteger(fileIdx) && files[fileIdx]) return files[fileIdx];
+  if (filename) {
+    const want = String(filename).toLowerCase();
+    const hit = files.find(f => String(f.name || "").toLowerCase().endsWith(want));
+    if (hit) return hit;
+  }
+  const videos = files.filter(f => VIDEO_EXT.test(f.name || ""));
+  const largest = list => list.slice().sort((a, b) => (b.size || 0) - (a.size || 0))[0];
+  if (season != null && episode != null) {
+    const re = new RegExp(`(?:S0*${season}[ ._-]?E0*${episode}|\\b0*${season}x0*${episode})(?!\\d)`, "i");
+    const eps = videos.filter(f => re.test(f.name || ""));
+    if (eps.length) return largest(eps);
+    return videos.length === 1 && !EPISODE_MARKER.test(videos[0].name) ? videos[0] : null;
+  }
+  return largest(videos.length ? videos : files);
+}
+
+// ── Real-Debrid ───────────────────────────────────────────────────────────────
+function realDebrid({ apikey, baseUrl = "https://api.real-debrid.com/rest/1.0", fetchImpl = fetch }) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const headers = { Authorization: `Bearer ${apikey}` };
+  const rd = (path, opts = {}) => call(fetchImpl, `${base}${path}`, { ...opts, headers, label: "RealDebrid" });
+
+  return {
+    id: "realdebrid",
+    // instantAvailability is deprecated: RD disabled it for most accounts and
+    // answers the rest with empty lists. When it fails or finds nothing, the
+    // torrents already downloaded on the account count as cached instead.
+    async checkCached(hashes, signal) {
+      const out = new Map(hashes.map(h => [h, false]));
+      let found = false;
+      try {
+        for (const part of chunks(hashes, 40)) {
+          const data = await rd(`/torrents/instantAvailability/${part.join("/")}`, { signal });
+          for (const h of part) {
+            const entry = data[h] || data[h.toUpperCase()];
+            const cached = !!(entry && Array.isArray(entry.rd) && entry.rd.length);
+            out.set(h, cached);
+            found = found || cached;
+          }
+        }
+      } catch (e) {
+        if (signal && signal.aborted) throw e;
+      }
+      if (found) return out;
+      const own = await rd("/torrents?limit=1000", { signal });
+      for (const t of Array.isArray(own) ? own : []) {
+        const h = String(t.hash || "").toLowerCase();
+        if (out.has(h) && t.status === "downloaded") out.set(h, true);
+      }
+      return out;
+    },
+    async resolve(magnet, want = {}, signal) {
+      const added = await rd("/torrents/addMagnet", { method: "POST", form: { magnet }, signal });
+      if (!added.id) return null;
+      let info = await rd(`/torrents/info/${added.id}`, { signal });
+      // RD file ids are 1-based, in torrent order
+      const files = (info.files || []).map(f => ({ id: f.id, name: f.path, size: f.bytes }));
+      const file = pickFile(files, want);
+      if (files.length && !file) return null;
+      await rd(`/torrents/selectFiles/${added.id}`, { method: "POST", form: { files: file ? String(file.id) : "all" }, signal });
+      info = await rd(`/torrents/info/${added.id}`, { signal });
+      if (info.status !== "downloaded" || !Array.isArray(info.links) || !info.links.length) return null;
+      const unrestricted = await rd("/unrestrict/link", { method: "POST", form: { link: info.links[0] }, signal });
+      return unrestricted.download || null;
+    }
+  };
+}
+
+// ── AllDebrid ─────────────────────────────────────────────────────────────────
+function allDebrid({ apikey, baseUrl = "https://api.alldebrid.com/v4", fetchImpl = fetch, agent = "autostream" }) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const ad = async (path, params, signal) => {
+    const u = new URL(`${base}${path}`);
+    u.searchParams.set("agent", agent);
+    for (const [k, v] of Object.entries(params)) {
+      if (Array.isArray(v)) v.forEach(x => u.searchParams.append(`${k}[]`, x));
+      else u.searchParams.set(k, v);
+    }
+    const data = await call(fetchImpl, u, { headers: { Authorization: `Bearer ${apikey}` }, signal, label: "AllDebrid" });
+    if (data.status !== "success") throw new Error(`AllDebrid: ${(data.error && data.error.message) || "request failed"}`);
+    return data.data || {};
+  };
+
+  return {
+    id: "alldebrid",
+    async checkCached(hashes, signal) {
+      const out = new Map();
+      for (const part of chunks(hashes, 40)) {
+        const data = await ad("/magnet/instant", { magnets: part }, signal);
+        for (const m of data.magnets || []) {
+          const h = String(m.hash || m.magnet || "").toLowerCase();
+          if (h) out.set(h, !!m.instant);
+        }
+      }
+      return out;
+    },
+    async resolve(magnet, want = {}, signal) {
+      const uploaded = await ad("/magnet/upload", { magnets: [magnet] }, signal);
+      const m = (uploaded.magnets || [])[0];
+      if (!m || !m.id || m.ready === false) return null;
+      const status = await ad("/magnet/status", { id: m.id }, signal);
+      const links = (status.magnets && status.magnets.links) || [];
+      const file = pickFile(links.map(l => ({ id: l.link, name: l.filename, size: l.size })), want);
+      if (!file) return null;
+      const unlocked = await ad("/link/unlock", { link: file.id }, signal);
+      return unlocked.link || null;
+    }
+  };
+}
+
+// ── Premiumize ────────────────────────────────────────────────────────────────
+function premiumize({ apikey, baseUrl = "https://www.premiumize.me/api", fetchImpl = fetch }) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const pm = async (path, { params = {}, form, signal } = {}) => {
+    const u = new URL(`${base}${path}`);
+    u.searchParams.set("apikey", apikey);
+    for (const [k, v] of Object.entries(params)) {
+      if (Array.isArray(v)) v.forEach(x => u.searchParams.append(`${k}[]`, x));
+      else u.searchParams.set(k, v);
+    }
+    const data = await call(fetchImpl, u, { method: form ? "POST" : "GET", form, signal, label: "Premiumize" });
+    if (data.status !== "success") throw new Error(`Premiumize: ${data.message || "request failed"}`);
+    return data;
+  };
+
+  return {
+    id: "premiumize",
+    async checkCached(hashes, signal) {
+      const out = new Map();
+      for (const part of chunks(hashes, 40)) {
+        const data = await pm("/cache/check", { params: { items: part }, signal });
+        part.forEach((h, i) => out.set(h, !!(data.response || [])[i]));
+      }
+      return out;
+    },
+    async resolve(magnet, want = {}, signal) {
+      const data = await pm("/transfer/directdl", { form: { src: magnet }, signal });
+      const file = pickFile((data.content || []).map(f => ({ id: f.link || f.stream_link, name: f.path, size: f.size })), want);
+      return file ? file.id : null;
+    }
+  };
+}
+
+const PROVIDERS = { realdebrid: realDebrid, alldebrid: allDebrid, premiumize };
+
+// "real-debrid", "RealDebrid", "rd" → "realdebrid"
+function normalizeProvider(name) {
+  const n = String(name || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (n === "rd") return "realdebrid";
+  if (n === "ad") return "alldebrid";
+  if (n === "pm") return "premiumize";
+  return PROVIDERS[n] ? n : null;
+}
+
+/**
+ * Build the adapter for a provider, or null if it isn't supported.
+ * @param {string} provider  e.g. "real-debrid", "alldebrid", "premiumize"
+ * @param {{apikey: string, baseUrl?: string, fetchImpl?: Function, agent?: string}} opts
+ */
+function createDebridClient(provider, opts) {
+  const id = normalizeProvider(provider);
+  if (!id || !opts || !opts.apikey) return null;
+  return PROVIDERS[id](opts);
+}
+
+/** Lower-case BTIH of a stream (infoHash field or magnet link), if any. */
+function infoHashOf(st) {
+  const h = st.infoHash || st.infohash || st.hash;
+  if (typeof h === "string" && /^[a-f0-9]{40}$/i.test(h)) return h.toLowerCase();
+  const m = /xt=urn:btih:([a-f0-9]{40})/i.exec(String(st.magnet || st.url || ""));
+  return m ? m[1].toLowerCase() : null;
+}
+
+module.exports = { createDebridClient, normalizeProvider, infoHashOf, pickFile };
@@ -0,0 +1,82 @@
+// lib/fixtures.js
+// Recorded upstream responses, so the add-on can run (and be tested) without
+// Torrentio, Cinemeta or a debrid account. A fixture file looks like
+//
+//   { "responses": [ { "url": "https://…/stream/movie/tt1.json", "status": 200, "body": { … } } ] }
+//
+// replay — answers from the file; a URL is looked up as is, then without its
+//          query string, so hand-written fixtures needn't spell out every
+//          parameter a source adapter adds. Unknown URLs fail like a network error.
+// record — passes requests on to the real fetch and appends each response to
+//          the file. Stored URLs go through redactString (no API keys on disk).
+
+const fs = require("fs");
+const { redactString } = require("./redact");
+
+const MODES = ["replay", "record"];
+
+function withoutQuery(url) {
+  return String(url).split("?")[0];
+}
+
+function readFixtures(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(data.responses) ? data.responses : [];
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+function jsonResponse(entry) {
+  const body = typeof entry.body === "string" ? entry.body : JSON.stringify(entry.body ?? null);
+  return new Response(body, { status: entry.status || 200, headers: { "Content-Type": "application/json" } });
+}
+
+/**
+ * A fetch() replacement backed by `file`. `requests` lists every URL asked
+ * for (redacted), which tests use to check what was sent upstream.
+ * @param {string} file
+ * @param {{ mode?: "replay"|"record", fetchImpl?: typeof fetch }} [options]
+ */
+function createFixtureFetch(file, { mode = "replay", fetchImpl = fetch } = {}) {
+  if (!MODES.includes(mode)) throw new Error(`unknown fixture mode "${mode}"`);
+  const responses = readFixtures(file);
+  const requests = [];
+
+  function find(url) {
+    const key = redactString(url);
+    return responses.find(r => r.url === key) || responses.find(r => r.url === withoutQuery(key));
+  }
+
+  async function replay(url, options = {}) {
+    if (options.signal && options.signal.aborted) throw options.signal.reason;
+    const entry = find(url);
+    if (!entry) throw new Error(`no fixture for ${redactString(url)}`);
+    return jsonResponse(entry);
+  }
+
+  async function record(url, options = {}) {
+    const res = await fetchImpl(url, options);
+    const text = await res.clone().text();
+    let body = text;
+    try { body = JSON.parse(text); } catch { /* kept as text */ }
+    const key = redactString(url);
+    const i = responses.findIndex(r => r.url === key);
+    const entry = { url: key, status: res.status, body };
+    if (i >= 0) responses[i] = entry;
+    else responses.push(entry);
+    fs.writeFileSync(file, JSON.stringify({ responses }, null, 2) + "\n");
+    return res;
+  }
+
+  const fixtureFetch = (url, options) => {
+    requests.push(redactString(String(url)));
+    return mode === "record" ? record(String(url), options) : replay(String(url), options);
+  };
+  fixtureFetch.requests = requests;
+  return fixtureFetch;
+}
+
+module.exports = { createFixtureFetch, FIXTURE_MODES: MODES };
@@ -0,0 +1,117 @@
+// lib/history.js
+// Per-install memory of the release picked for each series (group, resolution,
+// source), so later episodes can stick with it. Users are keyed by a digest of
+// their install token; installs without a token have no history.
+//
+// Kept in memory and, when `file` is set, saved to a JSON file a couple of
+// seconds after each change (and on flush()):
+//
+//   { "version": 1, "users": { "<key>": { "updatedAt": ms, "titles": { "tt123": { group, resolution, source, season, episode, at } } } } }
+//
+// Limits come from settings() on every call, so a config reload applies at once:
+// entries unused for retention_days are dropped, and so are the least recently
+// active users / titles beyond max_users / max_titles_per_user.
+
+const fs = require("fs");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVE_DELAY_MS = 2000;
+
+function readFile(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return data && data.version === 1 && data.users && typeof data.users === "object" ? data.users : {};
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[History] ${file} unreadable, starting empty:`, e.message || e);
+    return {};
+  }
+}
+
+/**
+ * @param {{ file?: string|null, settings: () => { retention_days: number, max_users: number, max_titles_per_user: number }, now?: () => number }} options
+ */
+function createHistoryStore({ file = null, settings, now = Date.now }) {
+  const users = new Map(Object.entries(file ? readFile(file) : {}));
+  let saveTimer = null;
+
+  function expired(at) {
+    const { retention_days } = settings();
+    return retention_days > 0 && now() - at > retention_days * DAY_MS;
+  }
+
+  function prune() {
+    const { max_users } = settings();
+    for (const [key, user] of users) {
+      for (const [title, entry] of Object.entries(user.titles)) if (expired(entry.at)) delete user.titles[title];
+      if (!Object.keys(user.titles).length) users.delete(key);
+    }
+    if (users.size > max_users) {
+      const oldest = [...users.entries()].sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+      for (const [key] of oldest.slice(0, users.size - max_users)) users.delete(key);
+    }
+  }
+  prune();
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  // Written to a temp file first so a crash mid-write can't truncate the history
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!file) return;
+    prune();
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, users: Object.fromEntries(users) }));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn(`[History] could not save ${file}:`, e.message || e);
+    }
+  }
+
+  /** The release remembered for `title`, or null */
+  function get(key, title) {
+    const user = users.get(key);
+    const entry = user && user.titles[title];
+    return entry && !expired(entry.at) ? entry : null;
+  }
+
+  function remember(key, title, release) {
+    const { max_titles_per_user } = settings();
+    const t = now();
+    let user = users.get(key);
+    if (!user) {
+      user = { updatedAt: t, titles: {} };
+      users.set(key, user);
+    }
+    user.updatedAt = t;
+    delete user.titles[title]; // re-insert: insertion order is recency order
+    user.titles[title] = { ...release, at: t };
+    const titles = Object.keys(user.titles);
+    for (const old of titles.slice(0, Math.max(0, titles.length - max_titles_per_user))) delete user.titles[old];
+    if (users.size > settings().max_users) prune();
+    scheduleSave();
+  }
+
+  /** Everything remembered for one user: { title: release } */
+  function entries(key) {
+    const user = users.get(key);
+    if (!user) return {};
+    return Object.fromEntries(Object.entries(user.titles).filter(([, e]) => !expired(e.at)));
+  }
+
+  /** Drops one user's history; returns how many titles it had */
+  function forget(key) {
+    const count = Object.keys(entries(key)).length;
+    if (users.delete(key)) scheduleSave();
+    return count;
+  }
+
+  return { get, remember, entries, forget, flush, get size() { return users.size; } };
+}
+
+module.exports = { createHistoryStore };
@@ -0,0 +1,61 @@
+// lib/i18n.js
+// Localized stream titles. Cinemeta only has English names, so what we
+// translate is our own wording: the episode marker, the audio line and the
+// dubbed / multi-audio notes. Language names come from Intl.DisplayNames.
+
+const LOCALES = {
+  en: {
+    episode: "S{ss}E{ee}",
+    // English keeps the old behaviour: the episode name replaces the marker
+    withName: "{name}",
+    audio: "Audio",
+    dubbed: "dubbed",
+    multi: "multi-audio"
+  },
+  it: { episode: "Stagione {s}, episodio {e}", withName: "{episode}: {name}", audio: "Audio", dubbed: "doppiato", multi: "multilingua" },
+  es: { episode: "Temporada {s}, episodio {e}", withName: "{episode}: {name}", audio: "Audio", dubbed: "doblado", multi: "multiaudio" },
+  fr: { episode: "Saison {s}, épisode {e}", withName: "{episode} : {name}", audio: "Audio", dubbed: "doublé", multi: "multi-audio" },
+  de: { episode: "Staffel {s}, Folge {e}", withName: "{episode}: {name}", audio: "Ton", dubbed: "synchronisiert", multi: "mehrsprachig" },
+  pt: { episode: "Temporada {s}, episódio {e}", withName: "{episode}: {name}", audio: "Áudio", dubbed: "dublado", multi: "multiáudio" }
+};
+const LOCALE_NAMES = Object.keys(LOCALES);
+
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? vars[k] : m));
+}
+// "en" for anything that isn't one of ours, built-ins like "constructor" included
+function localeFor(code) {
+  return Object.hasOwn(LOCALES, code) ? code : "en";
+}
+
+/** "Title — S01E02" in the locale; info is what getTitleInfo returns */
+function titleLabel(info, locale = "en") {
+  const L = LOCALES[localeFor(locale)];
+  if (info.season == null || info.episode == null) return info.title;
+  const pad2 = n => String(n).padStart(2, "0");
+  const episode = fill(L.episode, { s: info.season, e: info.episode, ss: pad2(info.season), ee: pad2(info.episode) });
+  const ep = info.episodeTitle ? fill(L.withName, { episode, name: info.episodeTitle }) : episode;
+  return `${info.title} — ${ep}`;
+}
+
+const displayNames = new Map();
+function languageName(code, locale = "en") {
+  const key = localeFor(locale);
+  if (!displayNames.has(key)) {
+    try { displayNames.set(key, new Intl.DisplayNames([key], { type: "language" })); } catch { displayNames.set(key, null); }
+  }
+  const names = displayNames.get(key);
+  try { return (names && names.of(code)) || code.toUpperCase(); } catch { return code.toUpperCase(); }
+}
+
+/** "Audio: italiano, inglese · doppiato" for a parsed release, "" if it declares nothing */
+function audioLine(p, locale = "en") {
+  const L = LOCALES[localeFor(locale)];
+  const bits = [];
+  if (p.languages.length) bits.push(`${L.audio}: ${p.languages.map(l => languageName(l, locale)).join(", ")}`);
+  if (p.dubbed) bits.push(L.dubbed);
+  if (p.multiAudio) bits.push(L.multi);
+  return bits.join(" · ");
+}
+
+module.exports = { LOCALES, LOCALE_NAMES, localeFor, titleLabel, languageName, audioLine };
@@ -0,0 +1,78 @@
+// lib/metrics.js
+// Minimal Prometheus registry: counters and histograms with labels, rendered
+// in the text exposition format (version 0.0.4) for GET /metrics.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+function formatNumber(n) {
+  if (n === Infinity) return "+Inf";
+  return Number.isInteger(n) ? String(n) : String(+n.toFixed(6));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  // One series per distinct label-value tuple, keyed by the joined values
+  function define(type, name, help, labelNames, init, extra = {}) {
+    const series = new Map();
+    const get = (labels = {}) => {
+      const values = labelNames.map(n => labels[n] ?? "");
+      const key = values.join("\u0000");
+      let s = series.get(key);
+      if (!s) { s = { values, ...init() }; series.set(key, s); }
+      return s;
+    };
+    metrics.push({ type, name, help, labelNames, series, ...extra });
+    return get;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const get = define("counter", name, help, labelNames, () => ({ value: 0 }));
+    return { inc(labels, by = 1) { get(labels).value += by; } };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const init = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+    const get = define("histogram", name, help, labelNames, init, { buckets });
+    return {
+      observe(labels, value) {
+        const s = get(labels);
+        buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const s of m.series.values()) {
+        if (m.type === "counter") {
+          lines.push(`${m.name}${formatLabels(m.labelNames, s.values)} ${formatNumber(s.value)}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) =>
+          lines.push(`${m.name}_bucket${formatLabels(m.labelNames, s.values, `le="${formatNumber(b)}"`)} ${s.counts[i]}`));
+        lines.push(`${m.name}_bucket${formatLabels(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${m.name}_sum${formatLabels(m.labelNames, s.values)} ${formatNumber(s.sum)}`);
+        lines.push(`${m.name}_count${formatLabels(m.labelNames, s.values)} ${s.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, histogram, render };
+}
+
+module.exports = { createRegistry, CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,315 @@
+// lib/pages.js
+// HTML pages: the configure form and its preview, the install page and the
+// explain report.
+// Plain template strings; every value that can come from a request or an
+// upstream goes through escapeHtml.
+
+const { LOCALE_NAMES, languageName } = require("./i18n");
+const { normalizeProvider } = require("./debrid");
+const {
+  FILTER_CODECS, MAX_OUTPUT_COUNT, RANKING_WEIGHTS, NON_NEGATIVE_WEIGHTS, QUALITY_TIERS, PREFER_RULES, PREFER_THRESHOLDS, MAX_WEIGHT, FORM_DEFAULTS
+} = require("./user-settings");
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+const DEBRID_OPTIONS = [["none", "No Debrid"], ["alldebrid", "AllDebrid"], ["real-debrid", "Real-Debrid"], ["premiumize", "Premiumize"]];
+const OUTPUT_OPTIONS = [
+  ["best+1080", "Best pick + 1080p option"],
+  ["single", "Single best link"],
+  ["per-tier", "Best per quality (4K / 1080p / 720p)"],
+  ["top-n", "Top N overall"]
+];
+const RULE_NAMES = { ratio_and_delta: "ratio and extra seeders", ratio_or_delta: "ratio or extra seeders" };
+
+function optionList(list, current, indent = "          ") {
+  return list.map(([value, label]) =>
+    `${indent}<option value="${escapeHtml(value)}"${value === current ? " selected" : ""}>${escapeHtml(label)}</option>`).join("\n");
+}
+const checked = on => (on ? " checked" : "");
+
+// One number field of the ranking overrides
+function weightRow(name, label, value, placeholder, min) {
+  return `        <div class="row">
+          <label for="${name}">${escapeHtml(label)}</label>
+          <input type="number" id="${name}" name="${name}" min="${min}" max="${MAX_WEIGHT}" step="any" value="${escapeHtml(value)}" placeholder="${escapeHtml(placeholder)}"/>
+        </div>`;
+}
+
+// The configure form; profiles are passed in so config reloads show up.
+// `values` fill it in (see formValues / readInstallForm in lib/user-settings.js),
+// `errors` and `notice` are shown above it, `thresholds` are the server's
+// prefer_lower_quality defaults and `history` ({ titles, resetUrl }) is set
+// on an installed add-on's page.
+function configurePage(profiles, { values = FORM_DEFAULTS, errors = [], notice = null, thresholds = {}, history = null } = {}) {
+  const v = values;
+  const debrid = (DEBRID_OPTIONS.find(([d]) => d === v.debrid || (normalizeProvider(d) && normalizeProvider(d) === normalizeProvider(v.debrid))) || DEBRID_OPTIONS[0])[0];
+  const base = profiles.default || {};
+  const customized = [...Object.values(v.weights), ...Object.values(v.quality), ...Object.values(v.prefer), v.prefer_rule].some(Boolean);
+  return `
+<!doctype html>
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>AutoStream — Configure</title>
+<style>
+  :root { color-scheme: dark; }
+  body{margin:0;background:#0d0e16;color:#e8e8f4;font:16px/1.45 system-ui,Segoe UI,Roboto,Helvetica,Arial}
+  .wrap{max-width:860px;margin:48px auto;padding:0 20px}
+  h1{font-size:28px;margin:0 0 20px}
+  .card{background:#121427;border:1px solid #1c1f3a;border-radius:14px;padding:22px}
+  .row{display:flex;gap:14px;align-items:center;margin:12px 0}
+  label{min-width:220px;opacity:.9}
+  select,input[type=text],input[type=number],input[type=url]{flex:1;padding:.7rem .8rem;border-radius:10px;border:1px solid #2b2f55;background:#171a31;color:#eef}
+  input:invalid{border-color:#a04050}
+  .check{display:flex;align-items:center;gap:12px}
+  input[type=checkbox]{width:18px;height:18px}
+  h3{font-size:18px;margin:22px 0 6px}
+  h4{font-size:16px;margin:16px 0 4px;opacity:.9}
+  summary{cursor:pointer;margin:12px 0}
+  .btn{display:block;width:100%;margin-top:16px;padding:14px 18px;border-radius:12px;border:1px solid #2b2f55;background:#191c36;color:#fff;text-decoration:none;text-align:center}
+  .btn:hover{background:#1f2345}
+  .small{padding:.7rem 1rem;border-radius:10px;border:1px solid #2b2f55;background:#191c36;color:#fff}
+  .errors{background:#2a1420;border:1px solid #5a2438;border-radius:10px;padding:10px 14px;margin-bottom:16px}
+  .notice{background:#171a31;border:1px solid #2b2f55;border-radius:10px;padding:10px 14px}
+  iframe{width:100%;height:360px;margin-top:12px;border:1px solid #2b2f55;border-radius:10px;background:#0d0e16}
+  code{background:#171a31;border:1px solid #2b2f55;border-radius:8px;padding:3px 7px}
+  small{opacity:.7}
+</style>
+<div class="wrap">
+  <h1>AutoStream — Configure</h1>
+  <div class="card">
+    <form method="GET" action="/configure" class="row">
+      <label for="manifest">Edit an existing install</label>
+      <input type="url" id="manifest" name="manifest" placeholder="Paste its manifest URL"/>
+      <button class="small" type="submit">Load</button>
+    </form>
+${notice ? `    <p class="notice">${escapeHtml(notice)}</p>\n` : ""}${errors.length ? `    <div class="errors"><b>Please fix:</b><ul>${errors.map(e => `<li>${escapeHtml(e)}</li>`).join("")}</ul></div>\n` : ""}    <form method="POST" action="/install">
+${v.from ? `      <input type="hidden" name="from" value="${escapeHtml(v.from)}"/>\n` : ""}      <div class="row">
+        <label>Debrid provider</label>
+        <select name="debrid">
+${optionList(DEBRID_OPTIONS, debrid)}
+        </select>
+      </div>
+      <div class="row">
+        <label>Ranking profile</label>
+        <select name="profile">
+${optionList(Object.entries(profiles).map(([name, p]) => [name, p.label]), v.profile)}
+        </select>
+      </div>
+      <div class="row">
+        <label>Streams to show</label>
+        <select name="output">
+${optionList(OUTPUT_OPTIONS, v.output)}
+        </select>
+        <input type="number" name="n" min="1" max="${MAX_OUTPUT_COUNT}" value="${escapeHtml(v.n)}" style="flex:0 0 70px" title="N for Top N"/>
+      </div>
+      <div class="row check">
+        <input id="cached" type="checkbox" name="cached" value="1"${checked(v.cached)} />
+        <label for="cached">Prefer cached links (Debrid)</label>
+      </div>
+      <div class="row">
+        <label>Debrid API key</label>
+        <input type="text" name="apikey" value="${escapeHtml(v.apikey)}" placeholder="${v.keySaved ? "Saved key is kept; paste a new one to replace it" : "Paste your provider’s API key"}" autocomplete="off"/>
+      </div>
+      <h3>Connection</h3>
+      <div class="row">
+        <label>Download speed (Mbps)</label>
+        <input type="number" name="speed" min="0" step="any" value="${escapeHtml(v.speed)}" placeholder="unknown — use seeder thresholds"/>
+        <select name="usage" style="flex:0 0 180px">
+${optionList([["stream", "I stream"], ["download", "I download first"]], v.usage)}
+        </select>
+      </div>
+      <h3>Languages</h3>
+      <div class="row">
+        <label>Preferred audio languages</label>
+        <input type="text" name="lang" value="${escapeHtml(v.lang)}" placeholder="in order, e.g. it, en"/>
+      </div>
+      <div class="row check">
+        <input id="dubbed" type="checkbox" name="dubbed" value="1"${checked(v.dubbed)} />
+        <label for="dubbed" style="min-width:0">Accept dubbed releases</label>
+        <input id="multi" type="checkbox" name="multi" value="1"${checked(v.multi)} />
+        <label for="multi" style="min-width:0">Accept multi-audio releases</label>
+      </div>
+      <div class="row">
+        <label>Stream title language</label>
+        <select name="ui">
+${optionList([["", "Same as first audio language"], ...LOCALE_NAMES.map(code => [code, languageName(code, code)])], v.ui)}
+        </select>
+      </div>
+      <h3>Filters</h3>
+      <div class="row">
+        <label>Exclude keywords / groups</label>
+        <input type="text" name="exclude" value="${escapeHtml(v.exclude)}" placeholder="e.g. cam, ts, yify"/>
+      </div>
+      <div class="row">
+        <label>Max file size (GB)</label>
+        <input type="number" name="maxsize" min="0" step="0.5" value="${escapeHtml(v.maxsize)}" placeholder="no limit"/>
+      </div>
+      <div class="row">
+        <label>Required audio languages</label>
+        <input type="text" name="audio" value="${escapeHtml(v.audio)}" placeholder="e.g. en, it (any of them)"/>
+      </div>
+      <div class="row">
+        <label>Required subtitle languages</label>
+        <input type="text" name="subs" value="${escapeHtml(v.subs)}" placeholder="e.g. en"/>
+      </div>
+      <div class="row check">
+        <label>Block codecs</label>
+${FILTER_CODECS.map(c => `        <input id="block-${c}" type="checkbox" name="block" value="${c}"${checked(v.block.includes(c))} /><label for="block-${c}" style="min-width:0">${c}</label>`).join("\n")}
+      </div>
+      <h3>Ranking weights</h3>
+      <details${customized ? " open" : ""}>
+        <summary>Adjust the ranking profile</summary>
+        <p><small>Blank fields keep the ranking profile’s value; the placeholders show the default profile.</small></p>
+${Object.entries(RANKING_WEIGHTS).map(([k, label]) =>
+  weightRow(`w_${k}`, label, v.weights[k], base[k], NON_NEGATIVE_WEIGHTS.includes(k) ? 0 : -MAX_WEIGHT)).join("\n")}
+        <h4>Quality points</h4>
+${QUALITY_TIERS.map(t => weightRow(`q_${t}`, t, v.quality[t], base.quality && base.quality[t], -MAX_WEIGHT)).join("\n")}
+        <h4>Prefer lower quality</h4>
+        <p><small>Without a download speed, a lower quality replaces the top pick when it has that many times the seeders
+        and / or that many more.</small></p>
+        <div class="row">
+          <label>Downgrade rule</label>
+          <select name="prefer_rule">
+${optionList([["", `Profile default${thresholds.prefer_rule ? ` (${RULE_NAMES[thresholds.prefer_rule]})` : ""}`], ...PREFER_RULES.map(r => [r, RULE_NAMES[r]])], v.prefer_rule, "            ")}
+          </select>
+        </div>
+${Object.entries(PREFER_THRESHOLDS).map(([k, label]) => weightRow(k, label, v.prefer[k], thresholds[k], 0)).join("\n")}
+      </details>
+      <h3>Preview</h3>
+      <div class="row">
+        <label for="preview_id">Sample title (IMDb id)</label>
+        <select name="preview_type" style="flex:0 0 120px">
+${optionList([["movie", "Movie"], ["series", "Series"]], "movie")}
+        </select>
+        <input type="text" id="preview_id" name="preview_id" value="tt0111161" title="tt0111161, or tt0944947:1:1 for an episode"/>
+      </div>
+      <button class="btn" type="submit" formaction="/configure/preview" formtarget="preview">Preview picks</button>
+      <iframe name="preview" title="Preview"></iframe>
+      <button class="btn" type="submit">Install in Stremio</button>
+    </form>
+${history ? `    <h3>Release history</h3>
+    <form method="POST" action="${escapeHtml(history.resetUrl)}">
+      <p><small>AutoStream remembers the release it picked for ${history.titles} series on this install,
+      so the next episodes come from the same group. Resetting starts over.</small></p>
+      <button class="btn" type="submit">Reset release history</button>
+    </form>
+` : ""}    <p><small>
+      All settings, including your API key, are stored in an encrypted install token:
+      <code>/u/&lt;token&gt;/manifest.json</code>. Older query-style (<code>?debrid=…&amp;apikey=…</code>)
+      and base64 token installs keep working.
+    </small></p>
+  </div>
+</div>
+`;
+}
+
+function installPage(manifestUrl) {
+  const deep = `stremio://addon-install?url=${encodeURIComponent(manifestUrl)}`;
+  return `
+  <!doctype html>
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Install AutoStream</title>
+  <style>
+    :root{color-scheme:dark}
+    body{margin:0;background:#0d0e16;color:#e8e8f4;font:16px/1.45 system-ui,Segoe UI,Roboto,Helvetica,Arial}
+    .wrap{max-width:860px;margin:48px auto;padding:0 20px}
+    .card{background:#121427;border:1px solid #1c1f3a;border-radius:14px;padding:22px}
+    code{display:block;word-break:break-all;background:#171a31;border:1px solid #2b2f55;border-radius:8px;padding:10px;margin:12px 0}
+    a.btn{display:inline-block;padding:12px 16px;border-radius:10px;border:1px solid #2b2f55;background:#191c36;color:#fff;text-decoration:none}
+    a.btn:hover{background:#1f2345}
+  </style>
+  <div class="wrap">
+    <div class="card">
+      <h2>Install in Stremio</h2>
+      <p><a class="btn" href="${escapeHtml(deep)}">Open Stremio & Install</a></p>
+      <p><small>If that doesn’t open Stremio automatically, copy this manifest URL and use
+      <b>Add-ons → Install via URL</b>:</small></p>
+      <code>${escapeHtml(manifestUrl)}</code>
+      <p><a class="btn" href="/configure">Back</a></p>
+    </div>
+  </div>`;
+}
+
+
+function explainPage(x) {
+  const table = (head, rows) => `<table><tr>${head.map(h => `<th>${h}</th>`).join("")}</tr>${rows.map(r =>
+    `<tr${r.cls ? ` class="${r.cls}"` : ""}>${r.cells.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</table>`;
+  const t = x.thresholds;
+  const pref = p => `${p.prefer_rule} · 1080p ×${p.prefer1080_ratio} / +${p.prefer1080_delta} · 720p ×${p.prefer720_ratio} / +${p.prefer720_delta}`;
+  const est = e => `${e.bitrateMbps} of ${e.throughputMbps} Mbps, margin ${e.margin}${e.playable ? "" : " (buffers)"}`;
+  const thresholds = !t ? ""
+    : t.bandwidth ? `Playback estimates for ${t.bandwidth.connection.mbps} Mbps (${t.bandwidth.connection.usage}), runtime ${t.bandwidth.runtimeMin} min${t.bandwidth.runtimeFromCinemeta ? "" : " (default)"}`
+    : `Downgrade thresholds: ${pref(t.used)}`;
+  return `
+<!doctype html>
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>AutoStream — Explain ${escapeHtml(x.id)}</title>
+<style>
+  :root { color-scheme: dark; }
+  body{margin:0;background:#0d0e16;color:#e8e8f4;font:15px/1.45 system-ui,Segoe UI,Roboto,Helvetica,Arial}
+  .wrap{max-width:1200px;margin:32px auto;padding:0 20px}
+  h1{font-size:24px;margin:0 0 16px}
+  h3{font-size:17px;margin:24px 0 8px}
+  table{width:100%;border-collapse:collapse;background:#121427;border:1px solid #1c1f3a}
+  th,td{padding:6px 8px;border-bottom:1px solid #1c1f3a;text-align:left;vertical-align:top}
+  th{background:#171a31;font-weight:600}
+  tr.picked td{background:#15301f}
+  tr.rejected td{opacity:.55}
+  code{background:#171a31;border:1px solid #2b2f55;border-radius:8px;padding:3px 7px}
+</style>
+<div class="wrap">
+  <h1>Why AutoStream picked this — <code>${escapeHtml(x.type)}/${escapeHtml(x.id)}</code></h1>
+  <p>Profile <b>${escapeHtml(x.config.profile)}</b> · output <b>${escapeHtml(x.config.output)}</b> · debrid <b>${escapeHtml(x.config.debrid)}</b>${x.history ? ` · sticking with <b>${escapeHtml([x.history.group, x.history.resolution, x.history.source].filter(Boolean).join(" "))}</b>` : ""}</p>
+  <h3>Streams returned</h3>
+  ${x.streams.length ? `<ol>${x.streams.map(s => `<li>${escapeHtml(s.title).replace(/\n/g, "<br>")}</li>`).join("")}</ol>` : "<p>None.</p>"}
+  <h3>Decisions</h3>
+  ${t ? `<p>${escapeHtml(thresholds)}${t.debridPreferred ? ` <small>(tightened for debrid from ${escapeHtml(pref(t.profile))})</small>` : ""}</p>` : ""}
+  ${table(["Step", "Result", "Seeders / playback", "Ratio", "Delta", "Needed"], x.decisions.map(d => ({
+    cells: [d.step, d.result || "",
+      d.playback ? Object.entries(d.playback).map(([k, e]) => `${k}: ${est(e)}`).join("; ")
+        : d.seeders ? Object.entries(d.seeders).map(([k, v]) => `${k}: ${v ?? "–"}`).join(", ")
+        : d.score != null ? `score ${d.score}` : "",
+      d.ratio ?? "", d.delta ?? "", d.need ? `${d.need.rule}: ×${d.need.ratio} / +${d.need.delta}` : d.playback ? "margin ≥ 1" : ""]
+  })))}
+  <h3>Sources</h3>
+  ${table(["Phase", "Source", "Result", "Time"], x.sources.map(r => ({
+    cells: [r.phase, r.source, r.ok ? `${r.count} streams` : `failed: ${r.error}`, r.ms != null ? `${r.ms}ms` : ""]
+  })))}
+  <h3>Candidates</h3>
+  ${table(["Source", "Release", "Quality", "Seeders", "Size", "Cached", "Playback", "Quality pts", "Seeder pts", "Pref pts", "Cached pts", "Pack", "Language", "Sticky", "Buffering", "Score", "Status"], x.candidates.map(c => ({
+    cls: c.picked ? "picked" : c.rejectedBy ? "rejected" : "",
+    cells: [c.source, c.title, c.quality, c.seeders, c.size || "", c.cached ? "yes" : "", c.playback ? est(c.playback) : "",
+      c.score.quality, c.score.seeders, c.score.preference, c.score.cached, c.score.pack, c.score.language, c.score.sticky, c.score.buffering, c.score.total,
+      c.picked ? "picked" : c.rejectedBy || ""]
+  })))}
+</div>
+`;
+}
+
+// The configure form's preview frame: the streams these settings return for
+// the sample title and the best-ranked candidates, or what to fix first.
+const PREVIEW_CANDIDATES = 8;
+function previewPage(x) {
+  const head = `<!doctype html>
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<style>
+  :root { color-scheme: dark; }
+  body{margin:0;padding:8px 12px;background:#0d0e16;color:#e8e8f4;font:14px/1.45 system-ui,Segoe UI,Roboto,Helvetica,Arial}
+  table{width:100%;border-collapse:collapse}
+  th,td{padding:4px 6px;border-bottom:1px solid #1c1f3a;text-align:left;vertical-align:top}
+  tr.picked td{background:#15301f}
+  .errors{color:#f0a0b0}
+</style>
+`;
+  if (x.errors) return `${head}<p class="errors">Fix these first:</p><ul>${x.errors.map(e => `<li>${escapeHtml(e)}</li>`).join("")}</ul>`;
+  const kept = x.candidates.filter(c => !c.rejectedBy);
+  const rejected = x.candidates.length - kept.length;
+  return `${head}<p><b>${escapeHtml(x.type)}/${escapeHtml(x.id)}</b> · ${kept.length} candidates${rejected ? `, ${rejected} filtered out` : ""}</p>
+${x.streams.length ? `<ol>${x.streams.map(s => `<li>${escapeHtml(s.title).replace(/\n/g, "<br>")}</li>`).join("")}</ol>` : "<p>No streams found.</p>"}
+${x.decisions.length ? `<p>${x.decisions.map(d => escapeHtml(`${d.step}${d.result ? `: ${d.result}` : ""}`)).join(" · ")}</p>` : ""}
+<table><tr><th>Release</th><th>Quality</th><th>Seeders</th><th>Score</th></tr>${kept.slice(0, PREVIEW_CANDIDATES).map(c =>
+    `<tr${c.picked ? ' class="picked"' : ""}><td>${escapeHtml(c.title)}</td><td>${escapeHtml(c.quality)}</td><td>${escapeHtml(c.seeders)}</td><td>${escapeHtml(c.score.total)}</td></tr>`).join("")}</table>`;
+}
+
+module.exports = { escapeHtml, configurePage, installPage, explainPage, previewPage };
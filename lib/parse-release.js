@@ -0,0 +1,362 @@
+// lib/parse-release.js
+// Turns a stream label (Torrentio-style "title\n👤 12 💾 1.4 GB ⚙️ Source" or a
+// bare release name) into structured fields. Everything is token-based with
+// word boundaries so "ad", "rd" or "2k" inside ordinary words never match.
+
+// ── Token tables ──────────────────────────────────────────────────────────────
+// Separators in release names: dots, spaces, dashes, underscores, brackets.
+const B = "(?:^|[\\s._\\-\\[\\](){}/|+,])";
+const E = "(?=$|[\\s._\\-\\[\\](){}/|+,])";
+const word = (src, flags = "i") => new RegExp(B + "(?:" + src + ")" + E, flags);
+
+const RESOLUTIONS = [
+  ["2160p", word("2160[pi]|4k|uhd|3840x2160")],
+  ["1440p", word("1440[pi]|2k|2560x1440")],
+  ["1080p", word("1080[pi]|fhd|1920x1080")],
+  ["720p",  word("720[pi]|1280x720")],
+  ["480p",  word("480[pi]|576[pi]")]
+];
+
+// Order matters: the first match wins (REMUX before BluRay, TS after WEB, and
+// WEBRip before a bare "WEB" or a service tag like AMZN, which only imply WEB-DL).
+// A bare TS / TC is upper case and followed by more of the name: ".ts" is a file
+// extension and "-TC" a release group.
+const SOURCES = [
+  ["REMUX",  word("remux|bdremux")],
+  ["BluRay", word("blu-?ray|bdrip|brrip|bd(?:25|50)|uhd-?bluray")],
+  ["WEB-DL", word("web-?dl")],
+  ["WEBRip", word("web-?rip")],
+  ["WEB-DL", word("web|amzn|nf|dsnp|hmax|atvp")],
+  ["HDTV",   word("hdtv|pdtv|dsr|tvrip")],
+  ["DVDRip", word("dvd-?rip|dvd(?:5|9)?|dvdscr")],
+  ["CAM",    word("cam|hd-?cam|camrip")],
+  ["TS",     word("hd-?ts|telesync|hd-?tc|telecine")],
+  ["TS",     /(?:^|[\s._[\](){}/|+,])(?:TS|TC)(?=[\s._\-[\](){}/|+,])/]
+];
+
+const VIDEO_CODECS = [
+  ["HEVC", word("hevc|[xh]\\.?265")],
+  ["AV1",  word("av1")],
+  ["AVC",  word("avc|[xh]\\.?264")],
+  ["VP9",  word("vp9")],
+  ["XviD", word("xvid|divx")]
+];
+
+const HDR = [
+  ["DV",     word("dv|dovi|dolby[ ._-]?vision")],
+  ["HDR10+", /(?:^|[\s._\-[\]()])hdr10(?:\+|plus)(?=$|[\s._\-[\]()])/i],
+  ["HDR10",  word("hdr10")],
+  ["HDR",    word("hdr")],
+  ["HLG",    word("hlg")]
+];
+
+// Order matters: most specific codec first.
+const AUDIO_CODECS = [
+  ["TrueHD",    word("truehd")],
+  ["DTS-HD MA", word("dts[ ._-]?hd[ ._-]?ma|dts-?ma")],
+  ["DTS:X",     word("dts[ ._:-]?x")],
+  ["DTS-HD",    word("dts[ ._-]?hd")],
+  ["DTS",       word("dts")],
+  ["DD+",       word("ddp|dd\\+|eac-?3|e-ac-?3|ddp(?:5|2|7)\\.?1")],
+  ["DD",        word("dd|ac-?3|dd(?:5|2)\\.?[01]")],
+  ["AAC",       word("aac(?:2\\.0|5\\.1)?")],
+  ["FLAC",      word("flac")],
+  ["Opus",      word("opus")],
+  ["MP3",       word("mp3")]
+];
+
+// language code → word markers (upper-case short codes, any-case full names)
+const LANGUAGES = {
+  en: ["ENG", "english"],
+  it: ["ITA", "italian"],
+  fr: ["FRE", "FRA", "VFF", "VFQ", "VF2", "french", "truefrench"],
+  de: ["GER", "DEU", "german"],
+  es: ["SPA", "ESP", "LAT", "spanish", "castellano", "latino"],
+  pt: ["POR", "portuguese", "dublado"],
+  ru: ["RUS", "russian"],
+  hi: ["HIN", "hindi"],
+  ta: ["TAM", "tamil"],
+  te: ["TEL", "telugu"],
+  ja: ["JAP", "JPN", "japanese"],
+  ko: ["KOR", "korean"],
+  zh: ["CHI", "CHS", "CHT", "chinese", "mandarin", "cantonese"],
+  ar: ["ARA", "arabic"],
+  tr: ["TUR", "turkish"],
+  pl: ["POL", "PL", "polish"],
+  nl: ["DUT", "NLD", "dutch"],
+  sv: ["SWE", "swedish"],
+  no: ["NOR", "norwegian"],
+  da: ["DAN", "danish"],
+  fi: ["FIN", "finnish"],
+  uk: ["UKR", "ukrainian"],
+  cs: ["CZE", "czech"],
+  hu: ["HUN", "hungarian"],
+  el: ["GRE", "greek"],
+  ro: ["RUM", "ROU", "romanian"]
+};
+const FLAGS = {
+  "🇬🇧": "en", "🇺🇸": "en", "🇮🇹": "it", "🇫🇷": "fr", "🇩🇪": "de", "🇪🇸": "es", "🇲🇽": "es",
+  "🇵🇹": "pt", "🇧🇷": "pt", "🇷🇺": "ru", "🇮🇳": "hi", "🇯🇵": "ja", "🇰🇷": "ko", "🇨🇳": "zh",
+  "🇹🇼": "zh", "🇸🇦": "ar", "🇹🇷": "tr", "🇵🇱": "pl", "🇳🇱": "nl", "🇸🇪": "sv", "🇳🇴": "no",
+  "🇩🇰": "da", "🇫🇮": "fi", "🇺🇦": "uk", "🇨🇿": "cs", "🇭🇺": "hu", "🇬🇷": "el", "🇷🇴": "ro"
+};
+const SHORT_LANG = {};
+const LONG_LANG = {};
+// Lookups in the language tables by arbitrary words ("constructor", "__proto__")
+const own = (table, key) => (Object.hasOwn(table, key) ? table[key] : undefined);
+for (const [code, markers] of Object.entries(LANGUAGES)) {
+  for (const m of markers) {
+    if (m === m.toUpperCase()) SHORT_LANG[m] = code;
+    else LONG_LANG[m] = code;
+  }
+}
+const SUB_TOKEN = /^(?:subs?|subbed|subtitles?|subtitulado)$/i;
+
+// Torrentio puts the debrid state in the stream name: "[RD+]", "[AD download]"
+const DEBRID_PROVIDERS = { RD: "realdebrid", AD: "alldebrid", PM: "premiumize", DL: "debridlink", TB: "torbox", OC: "offcloud", ED: "easydebrid", PD: "putio" };
+const DEBRID_RE = /\[(RD|AD|PM|DL|TB|OC|ED|PD)(\+| download)?\]/;
+
+// Words that end a release name but are not a release group.
+const NOT_GROUPS = /^(?:dl|rip|hd|x26[45]|h26[45]|hevc|avc|web|aac|dts|ma|hdr|dv|mkv|mp4|avi|\d+p?)$/i;
+
+const SIZE_UNITS = { tb: 1024 ** 4, tib: 1024 ** 4, gb: 1024 ** 3, gib: 1024 ** 3, mb: 1024 ** 2, mib: 1024 ** 2, kb: 1024, kib: 1024 };
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+function firstMatch(table, text) {
+  for (const [value, re] of table) if (re.test(text)) return value;
+  return null;
+}
+
+function parseSize(text) {
+  const m =
+    /💾\s*(\d+(?:[.,]\d+)?)\s*(TB|TiB|GB|GiB|MB|MiB|KB|KiB)\b/i.exec(text) ||
+    /(?:^|[\s[(])(\d+(?:[.,]\d+)?)\s*(TB|TiB|GB|GiB|MB|MiB)\b/i.exec(text);
+  if (!m) return null;
+  return Math.round(parseFloat(m[1].replace(",", ".")) * SIZE_UNITS[m[2].toLowerCase()]);
+}
+
+function parseSeeders(text) {
+  const m =
+    /👤\s*(\d+)/.exec(text) ||
+    /\b(\d{1,6})\s*(?:seed(?:ers)?|seeds|s:|se:)/i.exec(text) ||
+    /\[(\d{1,6})\s*seeds?\]/i.exec(text) ||
+    /\bseed(?:er)?s?\s*[:-]?\s*(\d{1,6})\b/i.exec(text);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// The release group is the "-GROUP" suffix of the release-name line.
+function parseGroup(line) {
+  const name = line.trim().replace(/\.(?:mkv|mp4|avi|m4v|ts)$/i, "");
+  const m = /-([A-Za-z0-9][A-Za-z0-9._@]{1,24})$/.exec(name) || /\[([A-Za-z0-9][A-Za-z0-9._@ -]{1,24})\]$/.exec(name);
+  if (!m || NOT_GROUPS.test(m[1])) return null;
+  return m[1];
+}
+
+// Short codes ("ITA") must be upper-case; full names ("Italian") only count
+// after the year/resolution so titles like "The Italian Job" don't match.
+// Codes right after a "Sub"/"Subs" token, or right before one, are subtitles.
+function parseLanguages(text, tailFrom) {
+  const audio = new Set();
+  const subtitles = new Set();
+
+  const tokens = text.split(/[\s._\-[\](){}\/|+,:;]+/).filter(Boolean);
+  let inSubs = false;
+  tokens.forEach((tok, i) => {
+    if (SUB_TOKEN.test(tok)) { inSubs = true; return; }
+    const code = own(SHORT_LANG, tok) || (i >= tailFrom ? own(LONG_LANG, tok.toLowerCase()) : undefined);
+    if (!code) { inSubs = false; return; }
+    if (inSubs || SUB_TOKEN.test(tokens[i + 1] || "")) subtitles.add(code);
+    else audio.add(code);
+  });
+  for (const [flag, code] of Object.entries(FLAGS)) if (text.includes(flag)) audio.add(code);
+  if (word("esubs?", "i").test(text)) subtitles.add("en");
+  return {
+    languages: [...audio],
+    subtitles: [...subtitles],
+    multiAudio: word("multi|multi[ ._-]?audio|dual[ ._-]?audio|dual", "i").test(text),
+    dubbed: word("dub|dubbed|dublado|dubbing", "i").test(text),
+    multiSubs: word("multi[ ._-]?subs?|msubs?", "i").test(text)
+  };
+}
+
+// Token index where the descriptive tail of a release name starts (the year or
+// first resolution/source token); everything before it is the title.
+function tailStart(name) {
+  const tokens = name.split(/[\s._\-[\](){}\/|+,:;]+/).filter(Boolean);
+  const i = tokens.findIndex(t => /^(?:19|20)\d{2}$/.test(t) || /^\d{3,4}[pi]$/i.test(t) || /^(?:web|bluray|hdtv|webrip|remux)$/i.test(t));
+  return i < 0 ? 0 : i;
+}
+
+// Season/episode markers. `text` may hold several lines (Torrentio puts the
+// pack name first and the episode's file name second), so markers from every
+// line are collected; `pack` only looks at the release-name line.
+function range(a, b) {
+  const out = [];
+  for (let i = Math.min(a, b); i <= Math.max(a, b) && out.length < 100; i++) out.push(i);
+  return out;
+}
+function parseEpisodes(text, name) {
+  const seasons = new Set();
+  const episodes = new Set();
+  let m;
+  // S01E05, S01E05E06, S01E05-E07, S01E05-07
+  const se = /\bS(\d{1,2})[ ._-]?E(\d{1,3})((?:[ ._]?E\d{1,3}|-E?\d{1,3}(?![\dp]))*)/gi;
+  while ((m = se.exec(text))) {
+    seasons.add(+m[1]);
+    const first = +m[2];
+    const more = (m[3].match(/\d{1,3}/g) || []).map(Number);
+    if (m[3].includes("-")) range(first, more[more.length - 1]).forEach(e => episodes.add(e));
+    else [first, ...more].forEach(e => episodes.add(e));
+  }
+  // 1x05
+  const x = /(?:^|[\s._\-[(])(\d{1,2})x(\d{2,3})(?=$|[\s._\-\])])/gi;
+  while ((m = x.exec(text))) { seasons.add(+m[1]); episodes.add(+m[2]); }
+  // S01, S01-S03, S01-03 (not followed by an episode)
+  const s = /\bS(\d{1,2})(?:[ ._-]?-[ ._-]?S?(\d{1,2}))?(?![ ._-]?E\d|\d)/gi;
+  while ((m = s.exec(text))) range(+m[1], m[2] ? +m[2] : +m[1]).forEach(n => seasons.add(n));
+  // Season 1, Season 1-3, Seasons 1 to 3
+  const season = /\bseasons?[ ._-]?(\d{1,2})(?:[ ._-]*(?:-|to|&)[ ._-]*(\d{1,2}))?/gi;
+  while ((m = season.exec(text))) range(+m[1], m[2] ? +m[2] : +m[1]).forEach(n => seasons.add(n));
+
+  const nameHasEpisode = /\bS\d{1,2}[ ._-]?E\d{1,3}|(?:^|[\s._\-[(])\d{1,2}x\d{2,3}(?=$|[\s._\-\])])/i.test(name);
+  const complete = word("complete|complete[ ._-]series|integrale", "i").test(name);
+  return {
+    seasons: [...seasons].sort((a, b) => a - b),
+    episodes: [...episodes].sort((a, b) => a - b),
+    pack: !nameHasEpisode && (seasons.size > 0 || complete)
+  };
+}
+
+// ── Parser ────────────────────────────────────────────────────────────────────
+/**
+ * Parse a stream label into structured release info.
+ * @param {string} label  combined title/name/description of a stream
+ * @returns {{
+ *   name: string, resolution: string|null, source: string|null,
+ *   videoCodec: string|null, hdr: string[], audioCodec: string|null,
+ *   atmos: boolean, audioChannels: string|null, languages: string[],
+ *   subtitles: string[], multiAudio: boolean, dubbed: boolean, multiSubs: boolean,
+ *   group: string|null, size: number|null, seeders: number|null, year: number|null,
+ *   debrid: {service: string, cached: boolean}|null, seasons: number[],
+ *   episodes: number[], pack: boolean, tags: Set<string>
+ * }}
+ */
+function parseRelease(label) {
+  const text = String(label || "");
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  // The release name is the first line that isn't Torrentio's "[RD+] Torrentio"
+  // header or a "👤 12 💾 1.4 GB" metadata line.
+  const name = (lines.find(l => !/^(?:\[[^\]]*\]\s*)?Torrentio\b/i.test(l) && !/^(?:👤|💾|⚙️)/.test(l)) || "")
+    .split(/\s(?:👤|💾|⚙️|\[\d+\s*seed)/)[0].trim();
+
+  // last year-looking token, so "Blade.Runner.2049.2017" gives 2017
+  const years = [...name.matchAll(/(?:^|[\s.([_-])((?:19|20)\d{2})(?=$|[\s.)\]_-])/g)];
+  const yearM = years[years.length - 1];
+  const chM = /(?:^|[\s._\-[(]|[a-z])([2-9]\.[01])(?=$|[\s._\-\])])/i.exec(text) || /(?:^|[\s._-])([2-9])ch\b/i.exec(text);
+  const debridM = DEBRID_RE.exec(text);
+
+  const parsed = {
+    name,
+    resolution: firstMatch(RESOLUTIONS, text),
+    source: firstMatch(SOURCES, text),
+    videoCodec: firstMatch(VIDEO_CODECS, text),
+    hdr: HDR.filter(([, re]) => re.test(text)).map(([v]) => v),
+    audioCodec: firstMatch(AUDIO_CODECS, text),
+    atmos: word("atmos", "i").test(text),
+    audioChannels: chM ? (chM[1].includes(".") ? chM[1] : `${chM[1]}.${chM[1] === "2" ? 0 : 1}`) : null,
+    ...parseLanguages(text, tailStart(name)),
+    group: parseGroup(name),
+    size: parseSize(text),
+    seeders: parseSeeders(text),
+    year: yearM ? parseInt(yearM[1], 10) : null,
+    debrid: debridM ? { service: DEBRID_PROVIDERS[debridM[1]], cached: debridM[2] === "+" } : null,
+    ...parseEpisodes(text, name)
+  };
+  // "HDR10+" / "HDR10" imply HDR; only keep the most specific ones
+  if (parsed.hdr.includes("HDR10+")) parsed.hdr = parsed.hdr.filter(h => h !== "HDR10");
+  if (parsed.hdr.some(h => h.startsWith("HDR10"))) parsed.hdr = parsed.hdr.filter(h => h !== "HDR");
+
+  parsed.tags = releaseTags(parsed);
+  return parsed;
+}
+
+// Lower-case feature tags used for keyword bonuses / filters.
+function releaseTags(p) {
+  const tags = new Set();
+  const add = v => { if (v) tags.add(String(v).toLowerCase()); };
+  add(p.resolution);
+  add(p.source);
+  add(p.videoCodec);
+  p.hdr.forEach(add);
+  if (p.hdr.length) add("hdr");
+  add(p.audioCodec);
+  add(p.audioChannels);
+  if (p.atmos) add("atmos");
+  if (p.multiAudio) add("multi");
+  if (p.dubbed) add("dubbed");
+  add(p.group);
+  p.languages.forEach(add);
+  if (p.videoCodec === "HEVC") { add("x265"); add("h265"); }
+  if (p.videoCodec === "AVC") { add("x264"); add("h264"); }
+  if (p.source === "WEB-DL") add("webdl");
+  if (p.source === "BluRay") add("blu");
+  if (p.hdr.includes("DV")) add("dolby vision");
+  if (p.debrid) { add("debrid"); add(p.debrid.service); if (p.debrid.cached) add("cached"); }
+  return tags;
+}
+
+/** True if `keyword` names a parsed feature or appears as a whole word. */
+function releaseHasKeyword(parsed, keyword) {
+  const k = String(keyword || "").toLowerCase().trim();
+  if (!k) return false;
+  if (parsed.tags.has(k)) return true;
+  const esc = k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/[ ._-]+/g, "[ ._-]?");
+  return word(esc, "i").test(parsed.name);
+}
+
+/**
+ * How a parsed release relates to a wanted episode:
+ * "episode" (contains it), "pack" (a pack of its season), "other" (markers
+ * point at a different episode/season) or "unknown" (no markers at all).
+ */
+function episodeMatch(parsed, season, episode) {
+  if (parsed.episodes.length) {
+    if (parsed.seasons.length && !parsed.seasons.includes(season)) return "other";
+    return parsed.episodes.includes(episode) ? "episode" : "other";
+  }
+  if (parsed.seasons.length) return parsed.seasons.includes(season) ? "pack" : "other";
+  return parsed.pack ? "pack" : "unknown";
+}
+
+/** Map "en", "ENG", "English" or a flag emoji to an ISO 639-1 code (or null). */
+function languageCode(str) {
+  const v = String(str || "").trim();
+  if (!v) return null;
+  if (own(FLAGS, v)) return FLAGS[v];
+  if (own(LANGUAGES, v.toLowerCase())) return v.toLowerCase();
+  return own(SHORT_LANG, v.toUpperCase()) || own(LONG_LANG, v.toLowerCase()) || null;
+}
+
+// "it" → "italian": the full-name marker, as Torrentio's audio option expects
+function languageMarker(code) {
+  return (own(LANGUAGES, code) || []).find(m => m !== m.toUpperCase()) || null;
+}
+
+/** Short human summary, e.g. "BluRay · HEVC · HDR10 · DTS-HD MA 7.1 · 14.2 GB". */
+function describeRelease(p) {
+  const bits = [];
+  if (p.source) bits.push(p.source);
+  if (p.videoCodec) bits.push(p.videoCodec);
+  if (p.hdr.length) bits.push(p.hdr.join("/"));
+  const audio = [p.audioCodec, p.atmos ? "Atmos" : null, p.audioChannels].filter(Boolean).join(" ");
+  if (audio) bits.push(audio);
+  if (p.size) bits.push(formatSize(p.size));
+  return bits.join(" · ");
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+module.exports = { parseRelease, releaseHasKeyword, describeRelease, formatSize, languageCode, languageMarker, episodeMatch };
@@ -0,0 +1,196 @@
+// lib/ranking.js
+// Candidate scoring shared by buildStreams and the explain endpoint: quality
+// tiers, seeders, profile bonuses, debrid cache state, audio language and
+// (for users with a connection profile) playback estimates.
+//
+// A profile is a ranking profile from config.json merged over DEFAULT_PROFILE,
+// plus what the request adds (see userProfile in lib/app.js):
+//   audioPrefs — preferred audio languages, in order
+//   playback   — { connection, runtimeMin, settings } when the user gave a speed
+//   sticky     — { group, resolution, source } this install picked for the
+//                series before (lib/history.js)
+
+const { parseRelease, releaseHasKeyword } = require("./parse-release");
+const { DEFAULT_PROFILE } = require("./config");
+const { estimatePlayback } = require("./bandwidth");
+
+// ── Labels ────────────────────────────────────────────────────────────────────
+// Parsed labels are reused heavily while sorting, so keep a bounded memo.
+const parsedLabels = new Map();
+function parseLabel(label) {
+  const key = label || "";
+  let p = parsedLabels.get(key);
+  if (!p) {
+    if (parsedLabels.size >= 5000) parsedLabels.clear();
+    p = parseRelease(key);
+    parsedLabels.set(key, p);
+  }
+  return p;
+}
+function combinedLabel(st) { return [st.title, st.name, st.description].filter(Boolean).join(" "); }
+function parsedOf(st) { return parseLabel(combinedLabel(st)); }
+function qualityTag(label) {
+  const p = parseLabel(label);
+  if (p.source === "CAM" || p.source === "TS") return "CAM";
+  return p.resolution || "SD";
+}
+function displayTag(tag) {
+  if (tag === "2160p") return "4K";
+  if (tag === "1440p") return "2K";
+  return tag;
+}
+function qualityScoreFromTag(tag) {
+  switch (tag) {
+    case "2160p": return 4000;
+    case "1440p": return 1440;
+    case "1080p": return 1080;
+    case "720p":  return 720;
+    case "480p":  return 480;
+    case "CAM":   return 10;
+    default:      return 360;
+  }
+}
+function is1080pLabel(label) { return qualityTag(label) === "1080p"; }
+function extractSeeders(st) {
+  if (typeof st.seeders === "number") return st.seeders;
+  if (typeof st.seeds === "number")   return st.seeds;
+  return parsedOf(st).seeders || 0;
+}
+
+// ── Scoring ───────────────────────────────────────────────────────────────────
+function preferenceBonus(label, profile = DEFAULT_PROFILE) {
+  const p = parseLabel(label);
+  let bonus = 0;
+  if (["REMUX", "BluRay", "WEB-DL", "WEBRip"].includes(p.source)) bonus += profile.source_bonus;
+  if (p.debrid) bonus += profile.debrid_bonus;
+  if (p.videoCodec === "HEVC") bonus += profile.hevc_bonus;
+  for (const [t, pts] of Object.entries(profile.bonuses || {})) if (releaseHasKeyword(p, t)) bonus += pts;
+  for (const [t, pts] of Object.entries(profile.penalties || {})) if (releaseHasKeyword(p, t)) bonus -= pts;
+  return bonus;
+}
+// The rankStream score split into its parts (the explain endpoint shows these)
+function rankBreakdown(st, profile = DEFAULT_PROFILE) {
+  const label = combinedLabel(st);
+  const qTag  = qualityTag(label);
+  const parts = {
+    quality: profile.quality[qTag] ?? qualityScoreFromTag(qTag),
+    seeders: Math.log1p(extractSeeders(st)) * profile.seeders_weight,
+    preference: preferenceBonus(label, profile),
+    cached: isDebridCached(st) ? profile.cached_bonus : 0,
+    pack: -packPenalty(st, profile),
+    language: languageScore(st, profile),
+    sticky: stickyScore(st, profile),
+    buffering: profile.playback ? -profile.buffering_penalty * (1 - Math.min(1, playbackOf(st, profile).margin)) : 0
+  };
+  return { ...parts, total: Object.values(parts).reduce((a, b) => a + b, 0) };
+}
+function rankStream(st, profile = DEFAULT_PROFILE) {
+  return rankBreakdown(st, profile).total;
+}
+// Preferred audio languages in order: the first earns the full language_bonus,
+// later ones a falling share; a release in none of them is penalised.
+// Unlabelled releases count as English, like the audio filter does.
+function languageScore(st, profile) {
+  const prefs = profile.audioPrefs || [];
+  if (!prefs.length) return 0;
+  const p = parsedOf(st);
+  if (!p.languages.length && p.multiAudio) return 0; // multi-audio, languages unknown
+  const langs = p.languages.length ? p.languages : ["en"];
+  const idx = prefs.findIndex(l => langs.includes(l));
+  if (idx < 0) return -profile.language_penalty;
+  return profile.language_bonus * (prefs.length - idx) / prefs.length;
+}
+// Same release group as the user's earlier episodes: the full sticky_bonus when
+// resolution and source match too, a third less for each that differs. The
+// bonus only settles close calls; a much better release still wins.
+function stickyScore(st, profile) {
+  const s = profile.sticky;
+  if (!s || !s.group) return 0;
+  const p = parsedOf(st);
+  if (!p.group || p.group.toLowerCase() !== s.group.toLowerCase()) return 0;
+  const same = 1 + (qualityTag(combinedLabel(st)) === s.resolution) + (p.source === s.source);
+  return (profile.sticky_bonus * same) / 3;
+}
+// The release identity history remembers for a pick
+function releaseIdentity(st) {
+  const p = parsedOf(st);
+  return { group: p.group || null, resolution: qualityTag(combinedLabel(st)), source: p.source || null };
+}
+// Bandwidth estimate for one candidate under profile.playback (see lib/bandwidth.js)
+function playbackOf(st, profile) {
+  const { connection, runtimeMin, settings } = profile.playback;
+  return estimatePlayback({
+    quality: qualityTag(combinedLabel(st)),
+    sizeBytes: parsedOf(st).size,
+    seeders: extractSeeders(st),
+    cached: isDebridCached(st),
+    runtimeMin
+  }, connection, settings);
+}
+// A season pack without fileIdx may open the wrong file in Stremio, unless
+// the debrid resolver picks the episode file for us.
+function packPenalty(st, profile) {
+  if (!parsedOf(st).pack || Number.isInteger(st.fileIdx) || isDebridCached(st)) return 0;
+  return profile.pack_penalty;
+}
+// Cached per our own availability check, or per a "[RD+]"-style upstream marker
+function isDebridCached(st) {
+  if (st.__cached) return true;
+  const d = parsedOf(st).debrid;
+  return !!(d && d.cached);
+}
+
+// ── Picking ───────────────────────────────────────────────────────────────────
+// prefer-lower-quality rule (config prefer_lower_quality.prefer_rule)
+function isMuchFaster(lower, higher, ratioNeed, deltaNeed, rule) {
+  const sLow  = extractSeeders(lower);
+  const sHigh = extractSeeders(higher);
+  const ratio = sHigh ? sLow / sHigh : Infinity;
+  const delta = sLow - sHigh;
+  if (rule === "ratio_or_delta") return ratio >= ratioNeed || delta >= deltaNeed;
+  return ratio >= ratioNeed && delta >= deltaNeed;
+}
+function bestOfQuality(cands, wantedTag, profile = DEFAULT_PROFILE) {
+  const filtered = cands.filter(st => qualityTag(combinedLabel(st)) === wantedTag);
+  return filtered.length ? filtered.sort((a, b) => rankStream(b, profile) - rankStream(a, profile))[0] : null;
+}
+// Same release (group/source + resolution) → same bingeGroup on every episode,
+// so Stremio's autoplay-next sticks with it.
+function bingeGroupFor(type, id, st) {
+  if (type !== "series") return id;
+  const p = parsedOf(st);
+  const release = [qualityTag(combinedLabel(st)), p.group || p.source || "any"].join("-").toLowerCase();
+  return `autostream-${String(id).split(":")[0]}-${release}`;
+}
+
+// ── Magnets ───────────────────────────────────────────────────────────────────
+// Prefer magnets so resolvers (e.g., Debrid) can catch them
+const COMMON_TRACKERS = [
+  "udp://tracker.opentrackr.org:1337/announce",
+  "udp://open.stealth.si:80/announce",
+  "udp://tracker.torrent.eu.org:451/announce"
+];
+function buildMagnet(st) {
+  if (typeof st.magnet === "string" && st.magnet.startsWith("magnet:")) return st.magnet;
+  const infoHash = st.infoHash || st.infohash || st.hash;
+  if (!infoHash) return null;
+  const dn = encodeURIComponent((st.title || st.name || "AutoStream").replace(/\s+/g, " "));
+  const tr = COMMON_TRACKERS.map(t => "&tr=" + encodeURIComponent(t)).join("");
+  return `magnet:?xt=urn:btih:${infoHash}&dn=${dn}${tr}`;
+}
+function normalizeForResolver(st) {
+  const magnet = buildMagnet(st);
+  const url = magnet || st.url || st.externalUrl || null;
+  return {
+    ...st,
+    url,
+    magnet: magnet || st.magnet,
+    behaviorHints: { ...(st.behaviorHints || {}), notWebReady: false }
+  };
+}
+
+module.exports = {
+  combinedLabel, parsedOf, qualityTag, displayTag, qualityScoreFromTag, is1080pLabel, extractSeeders,
+  rankBreakdown, rankStream, playbackOf, isDebridCached,
+  releaseIdentity, isMuchFaster, bestOfQuality, bingeGroupFor, buildMagnet, normalizeForResolver
+};
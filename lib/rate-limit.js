@@ -0,0 +1,100 @@
+// lib/rate-limit.js
+// Token-bucket rate limiting per key (client IP, install token) and a
+// semaphore capping concurrent upstream requests across all users.
+//
+// Both read their limits through a function on every call, so a config reload
+// takes effect immediately. A limit of 0 turns it off.
+
+/**
+ * @param {() => { perMinute: number, burst: number, maxKeys?: number }} settings
+ * @returns {{ take(key: string): { ok: boolean, remaining: number, retryAfterSec?: number }, size: number }}
+ */
+function createRateLimiter(settings, { now = Date.now } = {}) {
+  const buckets = new Map();
+
+  // Drop buckets that have refilled completely (same as not tracking them),
+  // then the oldest ones if that wasn't enough
+  function prune(t, perMinute, burst, maxKeys) {
+    for (const [key, b] of buckets) {
+      if (b.tokens + ((t - b.at) * perMinute) / 60000 >= burst) buckets.delete(key);
+    }
+    for (const key of buckets.keys()) {
+      if (buckets.size < maxKeys) break;
+      buckets.delete(key);
+    }
+  }
+
+  function take(key) {
+    const { perMinute, burst: rawBurst, maxKeys = 10000 } = settings();
+    if (!perMinute) return { ok: true, remaining: Infinity };
+    const burst = Math.max(1, rawBurst || 1);
+    const t = now();
+    let b = buckets.get(key);
+    if (!b) {
+      if (buckets.size >= maxKeys) prune(t, perMinute, burst, maxKeys);
+      b = { tokens: burst, at: t };
+      buckets.set(key, b);
+    }
+    b.tokens = Math.min(burst, b.tokens + ((t - b.at) * perMinute) / 60000);
+    b.at = t;
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return { ok: true, remaining: Math.floor(b.tokens) };
+    }
+    return { ok: false, remaining: 0, retryAfterSec: Math.ceil(((1 - b.tokens) * 60) / perMinute) };
+  }
+
+  return { take, get size() { return buckets.size; } };
+}
+
+/**
+ * run(fn, signal) waits for a free slot, then calls fn. A waiter whose signal
+ * aborts leaves the queue and rejects with the abort reason.
+ * @param {() => number} limit
+ */
+function createSemaphore(limit) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    while (queue.length && (!limit() || active < limit())) {
+      active++;
+      queue.shift().start();
+    }
+  }
+
+  function acquire(signal) {
+    const max = limit();
+    if (!max || active < max) { active++; return Promise.resolve(); }
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const i = queue.indexOf(waiter);
+        if (i >= 0) queue.splice(i, 1);
+        reject(signal.reason);
+      };
+      const waiter = {
+        start() {
+          if (signal) signal.removeEventListener("abort", onAbort);
+          resolve();
+        }
+      };
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      queue.push(waiter);
+    });
+  }
+
+  async function run(fn, signal) {
+    await acquire(signal);
+    try {
+      return await fn();
+    } finally {
+      active--;
+      next();
+    }
+  }
+
+  return { run, get active() { return active; }, get waiting() { return queue.length; } };
+}
+
+module.exports = { createRateLimiter, createSemaphore };
@@ -0,0 +1,43 @@
+// lib/redact.js
+// Scrubs API keys and install tokens from anything we log.
+
+const SECRET_KEYS = /^(?:api_?key|debridApiKey|token|secret|password|authorization)$/i;
+const STRING_RULES = [
+  // query params and key=value text: ?apikey=…, &api_key=…, token=…
+  [/(\b(?:api_?key|token|debridApiKey)=)[^&\s|"']+/gi, "$1<redacted>"],
+  // legacy Torrentio URLs carry keys as "realdebrid=KEY" pipe params
+  [/((?:realdebrid|alldebrid|premiumize|debridlink|offcloud|putio|torbox|easydebrid)=)[^&\s|"'/]+/gi, "$1<redacted>"],
+  // install token path segment: /u/<token>/…
+  [/(\/u\/)[^/\s"']+/g, "$1<redacted>"],
+  [/(Bearer\s+)[A-Za-z0-9._~+/-]+=*/g, "$1<redacted>"],
+  // object dumps: apikey: 'abc', "debridApiKey":"abc"
+  [/((?:api_?key|debridApiKey)["']?\s*[:=]\s*["'])[^"']+/gi, "$1<redacted>"]
+];
+
+function redactString(str) {
+  return STRING_RULES.reduce((s, [re, to]) => s.replace(re, to), str);
+}
+
+/** Deep copy of `value` with secrets replaced by "<redacted>". */
+function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value instanceof Error) return redactString(value.stack || value.message || String(value));
+  if (!value || typeof value !== "object" || depth > 6) return value;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  if (value instanceof Map || value instanceof Set || Buffer.isBuffer(value)) return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEYS.test(k) && v ? "<redacted>" : redact(v, depth + 1);
+  }
+  return out;
+}
+
+/** Route console.log/info/warn/error through redact(). */
+function installConsoleRedaction(target = console) {
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    const original = target[method].bind(target);
+    target[method] = (...args) => original(...args.map(a => redact(a)));
+  }
+}
+
+module.exports = { redact, redactString, installConsoleRedaction };
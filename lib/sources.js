@@ -0,0 +1,128 @@
+// lib/sources.js
+// Upstream source adapters. Every entry in config.json `sources` /
+// `fallback_sources` is normalized to
+//
+//   { name, url, adapter, query }
+//
+// and its adapter knows how to talk to that kind of upstream:
+//
+//   {
+//     id,                                   // "torrentio" | "pipe" | "stremio"
+//     streamUrl(entry, type, id, cfg) → URL  // incl. the user's debrid / audio settings
+//     usesDebrid(entry, cfg) → boolean       // results come back debrid-resolved
+//     toCandidates(data, entry) → [stream]   // common candidate shape, see below
+//   }
+//
+// Candidates are plain Stremio stream objects with a lowercase `infoHash`
+// (when known) plus `__source` (entry name) and `__adapter`. User filters are
+// applied to candidates afterwards, the same way for every adapter.
+
+const { languageMarker } = require("./parse-release");
+
+const TORRENTIO_HOST = /(^|\.)torrentio\.strem\.fun$/i;
+const DEBRID_HINT = /alldebrid|real-?debrid|premiumize/i;
+
+// ── Shared helpers ────────────────────────────────────────────────────────────
+function streamPath(root, type, id) {
+  return new URL(`${root.replace(/\/+$/, "")}/stream/${encodeURIComponent(type)}/${encodeURIComponent(id)}.json`);
+}
+function setParams(u, params) {
+  for (const [k, v] of Object.entries(params || {})) {
+    if (v != null && v !== "") u.searchParams.set(k, String(v));
+  }
+  return u;
+}
+function toCandidates(data, entry, adapterId) {
+  const list = data && Array.isArray(data.streams) ? data.streams : [];
+  return list
+    .filter(st => st && typeof st === "object" && (st.url || st.infoHash || st.externalUrl || st.ytId))
+    .map(st => ({
+      ...st,
+      ...(st.infoHash ? { infoHash: String(st.infoHash).toLowerCase() } : {}),
+      __source: entry.name,
+      __adapter: adapterId
+    }));
+}
+function hasUserDebrid(cfg) {
+  return !!(cfg && cfg.debrid && cfg.debrid !== "none" && cfg.debrid !== "custom-url" && cfg.apikey);
+}
+
+// ── Adapters ──────────────────────────────────────────────────────────────────
+// Torrentio: the user's debrid settings and audio languages travel as query
+// parameters (the languages override the configured default).
+const torrentio = {
+  id: "torrentio",
+  defaults: { exclude: "cam,ts", audio: "english", sort: "seeders" },
+  streamUrl(entry, type, id, cfg) {
+    const u = streamPath(entry.url, type, id);
+    if (cfg) {
+      if (cfg.debrid && cfg.debrid !== "none" && cfg.debrid !== "custom-url") u.searchParams.set("debrid", cfg.debrid);
+      if (cfg.cached != null) u.searchParams.set("cached", cfg.cached ? "true" : "false");
+      if (cfg.apikey) u.searchParams.set("apikey", cfg.apikey);
+    }
+    const audio = cfg && cfg.language ? cfg.language.audio.map(languageMarker).filter(Boolean) : [];
+    return setParams(u, { ...torrentio.defaults, ...entry.query, ...(audio.length ? { audio: audio.join(",") } : {}) });
+  },
+  usesDebrid(entry, cfg) {
+    return hasUserDebrid(cfg) || DEBRID_HINT.test(entry.url);
+  },
+  toCandidates(data, entry) { return toCandidates(data, entry, "torrentio"); }
+};
+
+// Legacy "https://host/<slug>|key=value&…" links: everything after the pipe
+// is sent as query parameters, the user's own settings are already in there.
+const pipe = {
+  id: "pipe",
+  streamUrl(entry, type, id) {
+    const [root, pipeParams] = entry.url.split("|");
+    const u = streamPath(root, type, id);
+    for (const p of (pipeParams || "").split("&").filter(Boolean)) {
+      const [k, v = ""] = p.split("=");
+      u.searchParams.set(k, v);
+    }
+    return setParams(u, entry.query);
+  },
+  usesDebrid() { return true; },
+  toCandidates(data, entry) { return toCandidates(data, entry, "pipe"); }
+};
+
+// Any Stremio stream add-on: GET <url>/stream/<type>/<id>.json, nothing per-user.
+const stremio = {
+  id: "stremio",
+  streamUrl(entry, type, id) {
+    return setParams(streamPath(entry.url, type, id), entry.query);
+  },
+  usesDebrid(entry) { return DEBRID_HINT.test(entry.url); },
+  toCandidates(data, entry) { return toCandidates(data, entry, "stremio"); }
+};
+
+const ADAPTERS = { torrentio, pipe, stremio };
+const ADAPTER_NAMES = Object.keys(ADAPTERS);
+
+// ── Entries ───────────────────────────────────────────────────────────────────
+function detectAdapter(url) {
+  if (url.includes("|")) return "pipe";
+  try {
+    if (TORRENTIO_HOST.test(new URL(url).host)) return "torrentio";
+  } catch { /* not a URL; the generic adapter will report it */ }
+  return "stremio";
+}
+
+/** String or { url, adapter?, name?, query? } → { name, url, adapter, query } */
+function normalizeSourceEntry(entry) {
+  const e = typeof entry === "string" ? { url: entry } : { ...entry };
+  return {
+    name: e.name || e.url,
+    url: e.url,
+    adapter: e.adapter || detectAdapter(e.url),
+    query: e.query || {}
+  };
+}
+
+function adapterFor(entry) {
+  const adapter = ADAPTERS[entry.adapter];
+  if (!adapter) throw new Error(`unknown source adapter "${entry.adapter}"`);
+  return adapter;
+}
+
+module.exports = { ADAPTERS, ADAPTER_NAMES, normalizeSourceEntry, adapterFor, detectAdapter };
@@ -0,0 +1,85 @@
+// lib/subtitles.js
+// Subtitles gathered from upstream subtitle add-ons, filtered to the user's
+// languages and ordered so subs made for the release that's playing come first.
+//
+// Stremio tells subtitle add-ons what is playing through the `extra` path
+// segment ("videoHash=…&videoSize=…&filename=…"); the filename is the
+// behaviorHints.filename AutoStream put on the stream it returned.
+
+const { parseRelease, languageCode } = require("./parse-release");
+
+// Codes subtitle add-ons use that parse-release doesn't know
+const LANG_ALIASES = { pob: "pt", pb: "pt", ze: "zh", scc: "sr" };
+
+function subtitleLang(lang) {
+  const v = String(lang || "").trim().toLowerCase();
+  return LANG_ALIASES[v] || languageCode(v);
+}
+
+/** "videoHash=abc&filename=Movie.mkv" → { videoHash, videoSize, filename } */
+function parseExtra(extra) {
+  const params = new URLSearchParams(String(extra || ""));
+  return {
+    videoHash: params.get("videoHash") || null,
+    videoSize: params.get("videoSize") ? parseInt(params.get("videoSize"), 10) || null : null,
+    filename: params.get("filename") || null
+  };
+}
+
+// Whatever release name the add-on gives us: a title, a release field, or
+// the file name at the end of the URL
+function subtitleRelease(sub) {
+  const named = sub.release || sub.title || sub.name || sub.label;
+  if (named) return String(named);
+  try {
+    return decodeURIComponent(new URL(sub.url).pathname.split("/").pop() || "");
+  } catch {
+    return "";
+  }
+}
+
+function normalizeName(name) {
+  return String(name || "")
+    .replace(/\.(?:mkv|mp4|avi|m4v|srt|vtt|sub|ass)$/i, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * How well a subtitle fits the playing release: same video hash beats the
+ * same release name, which beats matching group / source / resolution.
+ */
+function releaseMatchScore(sub, playing) {
+  if (playing.videoHash && (sub.videoHash || sub.hash) === playing.videoHash) return 100;
+  const subName = subtitleRelease(sub);
+  if (!subName || !playing.filename) return 0;
+  if (normalizeName(subName) === normalizeName(playing.filename)) return 50;
+  const a = parseRelease(subName);
+  const b = parseRelease(playing.filename);
+  let score = 0;
+  if (a.group && b.group && a.group.toLowerCase() === b.group.toLowerCase()) score += 20;
+  if (a.source && a.source === b.source) score += 10;
+  if (a.resolution && a.resolution === b.resolution) score += 5;
+  return score;
+}
+
+/**
+ * Filter to `langs` (any language if empty), drop duplicates, then order by
+ * language preference and release match.
+ * @returns {Array<{ id, url, lang }>}
+ */
+function rankSubtitles(subs, { langs = [], playing = {}, limit = 20 } = {}) {
+  const seen = new Set();
+  return subs
+    .filter(s => s && typeof s.url === "string")
+    .map(s => ({ sub: s, code: subtitleLang(s.lang) }))
+    .filter(x => !langs.length || langs.includes(x.code))
+    .filter(x => !seen.has(x.sub.url) && seen.add(x.sub.url))
+    .map(x => ({ ...x, pref: langs.length ? langs.indexOf(x.code) : 0, match: releaseMatchScore(x.sub, playing) }))
+    .sort((a, b) => a.pref - b.pref || b.match - a.match)
+    .slice(0, limit)
+    .map(({ sub }) => ({ id: String(sub.id || sub.url), url: sub.url, lang: sub.lang }));
+}
+
+module.exports = { parseExtra, subtitleLang, subtitleRelease, releaseMatchScore, rankSubtitles };
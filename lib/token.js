@@ -0,0 +1,52 @@
+// lib/token.js
+// Versioned install tokens: "v1.<base64url(iv | ciphertext | tag)>", AES-256-GCM
+// with a key derived from the server secret. The version prefix doubles as
+// AAD, so a token can't be replayed under a different format version.
+const crypto = require("crypto");
+
+const VERSION = "v1";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function isVersionedToken(str) {
+  return /^v\d+\./.test(String(str || ""));
+}
+
+/**
+ * @param {string} secret  server secret (AUTOSTREAM_SECRET)
+ * @returns {{ encode(obj: object): string, decode(token: string): object|null }}
+ */
+function createTokenCodec(secret) {
+  if (!secret) throw new Error("install token secret is required");
+  const key = Buffer.from(crypto.hkdfSync("sha256", String(secret), "autostream", `install-token-${VERSION}`, 32));
+  const aad = Buffer.from(VERSION);
+
+  return {
+    encode(obj) {
+      const iv = crypto.randomBytes(IV_BYTES);
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+      cipher.setAAD(aad);
+      const body = Buffer.concat([cipher.update(JSON.stringify(obj), "utf8"), cipher.final()]);
+      return `${VERSION}.${Buffer.concat([iv, body, cipher.getAuthTag()]).toString("base64url")}`;
+    },
+    // null for anything that isn't a valid, untampered token of this version
+    decode(token) {
+      const str = String(token || "");
+      if (!str.startsWith(`${VERSION}.`)) return null;
+      try {
+        const raw = Buffer.from(str.slice(VERSION.length + 1), "base64url");
+        if (raw.length <= IV_BYTES + TAG_BYTES) return null;
+        const decipher = crypto.createDecipheriv("aes-256-gcm", key, raw.subarray(0, IV_BYTES));
+        decipher.setAAD(aad);
+        decipher.setAuthTag(raw.subarray(raw.length - TAG_BYTES));
+        const json = Buffer.concat([decipher.update(raw.subarray(IV_BYTES, raw.length - TAG_BYTES)), decipher.final()]).toString("utf8");
+        const obj = JSON.parse(json);
+        return obj && typeof obj === "object" ? obj : null;
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createTokenCodec, isVersionedToken, TOKEN_VERSION: VERSION };
@@ -0,0 +1,325 @@
+// lib/user-settings.js
+// Per-install settings as they arrive from the query string, the install
+// token or the configure form, normalized, and the candidate filters built
+// from them. getConfig() in lib/app.js decides where each value comes from;
+// everything here is pure.
+
+const { releaseHasKeyword, languageCode, episodeMatch } = require("./parse-release");
+const { LOCALES, localeFor } = require("./i18n");
+const { parsedOf } = require("./ranking");
+const { DEFAULT_PROFILE } = require("./config");
+const { normalizeProvider } = require("./debrid");
+const { normalizeConnection } = require("./bandwidth");
+
+function splitList(v) {
+  if (Array.isArray(v)) return v.map(x => String(x).trim()).filter(Boolean);
+  return String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+}
+
+// ── User filters ──────────────────────────────────────────────────────────────
+// Stored in the install token as
+//   { exclude: ["yify", "cam"], maxSizeGB: 20, audioLangs: ["en"], subLangs: [], blockCodecs: ["HEVC"] }
+// and applied in buildStreams to every candidate, whatever source it came from.
+const FILTER_CODECS = ["HEVC", "AV1", "AVC", "VP9", "XviD"];
+function normalizeFilters(raw) {
+  const f = raw && typeof raw === "object" ? raw : {};
+  const maxSizeGB = parseFloat(f.maxSizeGB);
+  return {
+    exclude: splitList(f.exclude).map(x => x.toLowerCase()),
+    maxSizeGB: maxSizeGB > 0 ? maxSizeGB : 0,
+    audioLangs: splitList(f.audioLangs).map(languageCode).filter(Boolean),
+    subLangs: splitList(f.subLangs).map(languageCode).filter(Boolean),
+    blockCodecs: splitList(f.blockCodecs).map(c => FILTER_CODECS.find(x => x.toLowerCase() === c.toLowerCase())).filter(Boolean)
+  };
+}
+function hasFilters(f) {
+  return !!(f && (f.exclude.length || f.maxSizeGB || f.audioLangs.length || f.subLangs.length || f.blockCodecs.length));
+}
+
+// Why a candidate is rejected, or null if it passes. Releases without any
+// language marker are treated as English (scene convention); multi-audio
+// releases that don't list their languages are given the benefit of the doubt,
+// and so are releases that don't say which subtitles they carry: most don't.
+function filterReason(st, f) {
+  const p = parsedOf(st);
+  const hit = f.exclude.find(k => releaseHasKeyword(p, k));
+  if (hit) return `excluded keyword "${hit}"`;
+  if (f.maxSizeGB && p.size && p.size > f.maxSizeGB * 1024 ** 3) return `larger than ${f.maxSizeGB} GB`;
+  if (p.videoCodec && f.blockCodecs.includes(p.videoCodec)) return `blocked codec ${p.videoCodec}`;
+  if (f.audioLangs.length) {
+    const langs = p.languages.length ? p.languages : p.multiAudio ? null : ["en"];
+    if (langs && !langs.some(l => f.audioLangs.includes(l))) return `audio not in ${f.audioLangs.join("/")}`;
+  }
+  if (f.subLangs.length && p.subtitles.length && !p.multiSubs && !p.subtitles.some(l => f.subLangs.includes(l))) {
+    return `no ${f.subLangs.join("/")} subtitles`;
+  }
+  return null;
+}
+// For series requests: drop releases whose S/E markers name another episode.
+function episodeReason(st, wanted) {
+  if (episodeMatch(parsedOf(st), wanted.season, wanted.episode) !== "other") return null;
+  return `not S${pad2(wanted.season)}E${pad2(wanted.episode)}`;
+}
+// Dubbed / multi-audio releases the user said they don't want
+function languageReason(st, lang) {
+  const p = parsedOf(st);
+  if (!lang.dubbed && p.dubbed) return "dubbed";
+  if (!lang.multi && p.multiAudio) return "multi-audio";
+  return null;
+}
+function applyFilters(cands, f, wanted = null, lang = null) {
+  const checks = [
+    hasFilters(f) && (st => filterReason(st, f)),
+    wanted && (st => episodeReason(st, wanted)),
+    lang && !(lang.dubbed && lang.multi) && (st => languageReason(st, lang))
+  ].filter(Boolean);
+  if (!checks.length) return { kept: cands, rejected: [] };
+  const kept = [];
+  const rejected = [];
+  for (const st of cands) {
+    let reason = null;
+    for (const check of checks) if ((reason = check(st))) break;
+    if (reason) rejected.push({ stream: st, reason });
+    else kept.push(st);
+  }
+  return { kept, rejected };
+}
+
+// ── Audio languages ───────────────────────────────────────────────────────────
+// Stored in the install token as
+//   { audio: ["it", "en"], dubbed: true, multi: true, ui: "it" }
+// audio is in order of preference, dubbed / multi say whether such releases
+// are acceptable and ui is the locale of the stream titles (lib/i18n.js).
+function normalizeLanguage(raw) {
+  const l = raw && typeof raw === "object" ? raw : {};
+  const audio = [...new Set(splitList(l.audio).map(languageCode).filter(Boolean))];
+  const allowed = v => !(v === false || v === "0" || v === "false");
+  return {
+    audio,
+    dubbed: allowed(l.dubbed),
+    multi: allowed(l.multi),
+    ui: localeFor(l.ui || audio.find(a => Object.hasOwn(LOCALES, a)) || "en")
+  };
+}
+
+// ── Output modes ──────────────────────────────────────────────────────────────
+// single     — just the curated pick
+// best+1080  — curated plus the best 1080p when curated isn't 1080p (default)
+// per-tier   — curated plus the best 4K / 1080p / 720p it doesn't already cover
+// top-n      — curated plus the next best-ranked streams, outputCount in total
+const OUTPUT_MODES = ["single", "best+1080", "per-tier", "top-n"];
+const MAX_OUTPUT_COUNT = 10;
+function normalizeOutput(mode, count) {
+  const n = parseInt(count, 10);
+  return {
+    output: OUTPUT_MODES.includes(mode) ? mode : "best+1080",
+    outputCount: n > 0 ? Math.min(n, MAX_OUTPUT_COUNT) : 3
+  };
+}
+
+// ── Ranking overrides ─────────────────────────────────────────────────────────
+// Stored in the install token as
+//   { weights: { seeders_weight: 300 }, quality: { "2160p": 2500 }, prefer: { prefer_rule: "ratio_or_delta", prefer1080_ratio: 1.5 } }
+// and layered over the user's ranking profile (userProfile() in lib/app.js).
+// Values are checked against the same bounds as ranking_profiles in config.json.
+const RANKING_WEIGHTS = {
+  seeders_weight: "Seeders (points per log of seeders)",
+  source_bonus: "Source bonus (REMUX / BluRay / WEB)",
+  debrid_bonus: "Debrid marker bonus",
+  hevc_bonus: "HEVC bonus",
+  cached_bonus: "Debrid cached bonus",
+  pack_penalty: "Season pack penalty",
+  buffering_penalty: "Buffering penalty",
+  language_bonus: "Preferred language bonus",
+  language_penalty: "Other language penalty",
+  sticky_bonus: "Same release group bonus"
+};
+const NON_NEGATIVE_WEIGHTS = ["seeders_weight", "buffering_penalty", "language_bonus", "language_penalty", "sticky_bonus"];
+const QUALITY_TIERS = Object.keys(DEFAULT_PROFILE.quality);
+const PREFER_RULES = ["ratio_and_delta", "ratio_or_delta"];
+const PREFER_THRESHOLDS = {
+  prefer1080_ratio: "1080p over 4K: seeder ratio",
+  prefer1080_delta: "1080p over 4K: extra seeders",
+  prefer720_ratio: "720p over 1080p: seeder ratio",
+  prefer720_delta: "720p over 1080p: extra seeders"
+};
+const MAX_WEIGHT = 100000;
+
+// → { ranking, errors }; invalid values are left out of ranking
+function parseRanking(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const ranking = { weights: {}, quality: {}, prefer: {} };
+  const errors = [];
+  const take = (group, key, value, min, label) => {
+    if (value == null || value === "") return;
+    const n = Number(value);
+    if (Number.isFinite(n) && n >= min && n <= MAX_WEIGHT) ranking[group][key] = n;
+    else errors.push(`${label}: must be a number from ${min} to ${MAX_WEIGHT}`);
+  };
+  const weights = r.weights || {};
+  for (const [key, label] of Object.entries(RANKING_WEIGHTS)) {
+    take("weights", key, weights[key], NON_NEGATIVE_WEIGHTS.includes(key) ? 0 : -MAX_WEIGHT, label);
+  }
+  const quality = r.quality || {};
+  for (const tier of QUALITY_TIERS) take("quality", tier, quality[tier], -MAX_WEIGHT, `${tier} quality points`);
+  const prefer = r.prefer || {};
+  if (prefer.prefer_rule) {
+    if (PREFER_RULES.includes(prefer.prefer_rule)) ranking.prefer.prefer_rule = prefer.prefer_rule;
+    else errors.push(`Downgrade rule: must be one of ${PREFER_RULES.join(", ")}`);
+  }
+  for (const [key, label] of Object.entries(PREFER_THRESHOLDS)) take("prefer", key, prefer[key], 0, label);
+  return { ranking, errors };
+}
+function normalizeRanking(raw) {
+  return parseRanking(raw).ranking;
+}
+function hasRanking(r) {
+  return !!(r && (Object.keys(r.weights).length || Object.keys(r.quality).length || Object.keys(r.prefer).length));
+}
+
+// ── Configure form ────────────────────────────────────────────────────────────
+// The form's fields as lib/pages.js renders them: plain strings, booleans for
+// checkboxes, w_<weight> / q_<tier> / <threshold> for the ranking overrides and
+// `from`, the token of the install being edited.
+const pick = (keys, fn) => Object.fromEntries(keys.map(k => [k, fn(k)]));
+const numberText = v => (v == null || v === 0 ? "" : String(v));
+
+/**
+ * Form values for the settings in an install token, for editing it. The API
+ * key is never put back into the page; keySaved says the token has one.
+ */
+function formValues(s) {
+  const f = normalizeFilters(s.filters);
+  const l = normalizeLanguage(s.language);
+  const o = normalizeOutput(s.output, s.outputCount);
+  const r = normalizeRanking(s.ranking);
+  const connection = normalizeConnection(s.speedMbps, s.usage);
+  const derivedUi = localeFor(l.audio.find(a => Object.hasOwn(LOCALES, a)) || "en");
+  return {
+    debrid: String(s.debridProvider || s.debrid || "none"),
+    apikey: "",
+    keySaved: !!(s.debridApiKey || s.apiKey),
+    profile: String(s.profile || s.rankingProfile || "default"),
+    output: o.output,
+    n: String(o.outputCount),
+    cached: !!s.preferCached,
+    speed: connection ? String(connection.mbps) : "",
+    usage: connection ? connection.usage : "stream",
+    lang: l.audio.join(", "),
+    dubbed: l.dubbed,
+    multi: l.multi,
+    ui: l.ui === derivedUi ? "" : l.ui,
+    exclude: f.exclude.join(", "),
+    maxsize: numberText(f.maxSizeGB),
+    audio: f.audioLangs.join(", "),
+    subs: f.subLangs.join(", "),
+    block: f.blockCodecs,
+    weights: pick(Object.keys(RANKING_WEIGHTS), k => (k in r.weights ? String(r.weights[k]) : "")),
+    quality: pick(QUALITY_TIERS, t => (t in r.quality ? String(r.quality[t]) : "")),
+    prefer_rule: r.prefer.prefer_rule || "",
+    prefer: pick(Object.keys(PREFER_THRESHOLDS), k => (k in r.prefer ? String(r.prefer[k]) : "")),
+    from: ""
+  };
+}
+const FORM_DEFAULTS = formValues({ preferCached: true });
+
+/**
+ * Reads a submitted configure form (or an old GET /install link) →
+ * { values, settings, errors }. settings is what goes into the install token;
+ * values re-fill the form when there are errors. `previous` is the decoded
+ * token named by `from`: its API key is kept when the key field is left blank.
+ */
+function readInstallForm(q, { post = true, profiles = {}, previous = null } = {}) {
+  const text = k => (Array.isArray(q[k]) ? q[k].join(",") : String(q[k] ?? "")).trim();
+  // An unchecked box is simply missing from the form; older GET links don't know these at all
+  const accepted = v => (post ? !!v : !(v === false || v === "0" || v === "false"));
+  const values = {
+    debrid: text("debrid") || "none",
+    apikey: text("apikey"),
+    keySaved: false,
+    profile: text("profile") || "default",
+    output: text("output") || "best+1080",
+    n: text("n"),
+    cached: !!q.cached,
+    speed: text("speed"),
+    usage: text("usage") || "stream",
+    lang: text("lang"),
+    dubbed: accepted(q.dubbed),
+    multi: accepted(q.multi),
+    ui: text("ui"),
+    exclude: text("exclude"),
+    maxsize: text("maxsize"),
+    audio: text("audio"),
+    subs: text("subs"),
+    block: splitList(q.block),
+    weights: pick(Object.keys(RANKING_WEIGHTS), k => text(`w_${k}`)),
+    quality: pick(QUALITY_TIERS, t => text(`q_${t}`)),
+    prefer_rule: text("prefer_rule"),
+    prefer: pick(Object.keys(PREFER_THRESHOLDS), k => text(k)),
+    from: text("from")
+  };
+  const errors = [];
+
+  const provider = values.debrid === "none" ? "none" : normalizeProvider(values.debrid);
+  const previousKey = previous && normalizeProvider(previous.debridProvider || previous.debrid) === provider
+    ? String(previous.debridApiKey || previous.apiKey || "")
+    : "";
+  values.keySaved = !!previousKey;
+  const apikey = values.apikey || previousKey;
+  if (!provider) errors.push(`Debrid provider: unknown "${values.debrid}"`);
+  else if (provider !== "none" && !apikey) errors.push("Debrid API key: required with a debrid provider");
+  if (!Object.hasOwn(profiles, values.profile)) errors.push(`Ranking profile: unknown "${values.profile}"`);
+  if (!OUTPUT_MODES.includes(values.output)) errors.push(`Streams to show: unknown mode "${values.output}"`);
+  const n = Number(values.n);
+  if (values.output === "top-n" && values.n && !(Number.isInteger(n) && n >= 1 && n <= MAX_OUTPUT_COUNT)) {
+    errors.push(`Top N: must be a whole number from 1 to ${MAX_OUTPUT_COUNT}`);
+  }
+  if (values.speed && !(Number(values.speed) > 0)) errors.push("Download speed: must be a number above 0");
+  for (const [field, label] of [["lang", "Preferred audio languages"], ["audio", "Required audio languages"], ["subs", "Required subtitle languages"]]) {
+    const unknown = splitList(values[field]).filter(x => !languageCode(x));
+    if (unknown.length) errors.push(`${label}: unknown ${unknown.map(x => `"${x}"`).join(", ")}`);
+  }
+  if (values.ui && !Object.hasOwn(LOCALES, values.ui)) errors.push(`Stream title language: unsupported "${values.ui}"`);
+  if (values.maxsize && !(Number(values.maxsize) >= 0)) errors.push("Max file size: must be a number of GB");
+  const unknownCodecs = values.block.filter(c => !FILTER_CODECS.some(x => x.toLowerCase() === c.toLowerCase()));
+  if (unknownCodecs.length) errors.push(`Block codecs: unknown ${unknownCodecs.join(", ")}`);
+  const parsed = parseRanking({ weights: values.weights, quality: values.quality, prefer: { prefer_rule: values.prefer_rule, ...values.prefer } });
+  errors.push(...parsed.errors);
+
+  const connection = normalizeConnection(values.speed, values.usage);
+  const settings = {
+    debridProvider: provider ? values.debrid : "none",
+    debridApiKey: provider && provider !== "none" ? apikey : "",
+    preferCached: values.cached,
+    profile: Object.hasOwn(profiles, values.profile) ? values.profile : "default",
+    filters: normalizeFilters({
+      exclude: values.exclude,
+      maxSizeGB: values.maxsize,
+      audioLangs: values.audio,
+      subLangs: values.subs,
+      blockCodecs: values.block
+    }),
+    ...normalizeOutput(values.output, values.n),
+    language: normalizeLanguage({ audio: values.lang, dubbed: values.dubbed, multi: values.multi, ui: values.ui }),
+    ...(hasRanking(parsed.ranking) ? { ranking: parsed.ranking } : {}),
+    ...(connection ? { speedMbps: connection.mbps, usage: connection.usage } : {})
+  };
+  return { values, settings, errors };
+}
+
+// ── Series episodes ───────────────────────────────────────────────────────────
+function pad2(n) { return String(n).padStart(2, "0"); }
+// "tt123:1:5" → { season: 1, episode: 5 } for series, else null
+function parseEpisodeId(type, id) {
+  if (type !== "series") return null;
+  const [, sStr, eStr] = String(id).split(":");
+  const season = parseInt(sStr, 10);
+  const episode = parseInt(eStr, 10);
+  return Number.isInteger(season) && Number.isInteger(episode) ? { season, episode } : null;
+}
+
+module.exports = {
+  FILTER_CODECS, OUTPUT_MODES, MAX_OUTPUT_COUNT, RANKING_WEIGHTS, NON_NEGATIVE_WEIGHTS, QUALITY_TIERS, PREFER_RULES, PREFER_THRESHOLDS, MAX_WEIGHT, FORM_DEFAULTS,
+  normalizeFilters, hasFilters, applyFilters, normalizeLanguage, normalizeOutput, normalizeRanking, hasRanking,
+  formValues, readInstallForm, parseEpisodeId
+};
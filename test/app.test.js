@@ -0,0 +1,432 @@
+// test/app.test.js
+// End-to-end: the Express app against recorded upstream responses
+// (test/fixtures/upstream.json), no network needed.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { once } = require("node:events");
+const { createApp } = require("../lib/app");
+const { validateConfig } = require("../lib/config");
+const { createFixtureFetch } = require("../lib/fixtures");
+const { createTokenCodec } = require("../lib/token");
+
+const FIXTURES = path.join(__dirname, "fixtures", "upstream.json");
+const SECRET = "test-secret";
+const BASE_CONFIG = {
+  sources: [{ name: "primary", url: "https://primary.example" }],
+  fallback_sources: [{ name: "fallback", url: "https://fallback.example" }],
+  rate_limit: { ip_per_minute: 0, token_per_minute: 0 },
+  history: { file: "" }
+};
+
+// The app logs every request and decision; keep the test output readable
+const quiet = ["log", "warn", "error"].map(m => [m, console[m]]);
+test.before(() => quiet.forEach(([m]) => { console[m] = () => {}; }));
+test.after(() => quiet.forEach(([m, fn]) => { console[m] = fn; }));
+
+async function withAddon(overrides, fn) {
+  const { config, errors } = validateConfig({ ...BASE_CONFIG, ...overrides });
+  assert.deepEqual(errors, []);
+  const upstream = createFixtureFetch(FIXTURES);
+  const addon = createApp({ config, tokenSecret: SECRET, fetch: upstream });
+  const { app } = addon;
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = async (p, init) => {
+    const res = await fetch(base + p, init);
+    const type = res.headers.get("content-type") || "";
+    return { status: res.status, headers: res.headers, body: type.includes("json") ? await res.json() : await res.text() };
+  };
+  try {
+    return await fn({ get, requests: upstream.requests, addon });
+  } finally {
+    addon.catalogs.stop();
+    server.close();
+    server.closeAllConnections();
+  }
+}
+
+const qualities = streams => streams.map(s => s.title.split("\n")[0].split(" — ").pop());
+const installToken = obj => createTokenCodec(SECRET).encode(obj);
+
+test("fixture fetch replays by URL, ignoring the query string, and fails on unknown URLs", async () => {
+  const upstream = createFixtureFetch(FIXTURES);
+  const res = await upstream("https://primary.example/stream/movie/tt0000002.json?sort=seeders");
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).streams.length, 2);
+  await assert.rejects(upstream("https://nowhere.example/x.json"), /no fixture for https:\/\/nowhere\.example/);
+  assert.equal(upstream.requests.length, 2);
+});
+
+test("manifest lists the stream resource", async () => {
+  await withAddon({}, async ({ get }) => {
+    const { status, body } = await get("/manifest.json");
+    assert.equal(status, 200);
+    assert.equal(body.id, "org.autostream.best");
+    assert.deepEqual(body.resources, ["stream"]);
+  });
+});
+
+test("a 4K pick with few seeders is downgraded to a much faster 1080p", async () => {
+  await withAddon({}, async ({ get }) => {
+    const { body } = await get("/stream/movie/tt0000001.json");
+    assert.deepEqual(qualities(body.streams), ["1080p"]);
+    assert.match(body.streams[0].title, /^Replay Movie — 1080p/);
+    assert.equal(body.streams[0].infoHash, "2".repeat(40));
+    assert.equal(body.streams[0].behaviorHints.bingeGroup, "tt0000001");
+
+    const explain = (await get("/explain/movie/tt0000001.json")).body;
+    assert.deepEqual(explain.decisions.map(d => [d.step, d.result]), [
+      ["top ranked", undefined],
+      ["2160p → 1080p", "downgraded"],
+      ["1080p → 720p", "kept: lower quality not much faster"]
+    ]);
+  });
+});
+
+test("a well-seeded 4K pick is kept, with the best 1080p as second option", async () => {
+  await withAddon({}, async ({ get }) => {
+    const { body } = await get("/stream/movie/tt0000002.json");
+    assert.deepEqual(qualities(body.streams), ["4K", "1080p"]);
+    // no Cinemeta fixture for this title: the id stands in for the name
+    assert.match(body.streams[0].title, /^tt0000002 — 4K/);
+  });
+});
+
+test("downgrade thresholds come from the ranking profile", async () => {
+  const ranking_profiles = {
+    strict: { prefer_lower_quality: { prefer_rule: "ratio_and_delta", prefer1080_ratio: 100, prefer1080_delta: 5000, prefer720_ratio: 100, prefer720_delta: 5000 } }
+  };
+  await withAddon({ ranking_profiles }, async ({ get }) => {
+    const { body } = await get("/stream/movie/tt0000001.json?profile=strict");
+    assert.deepEqual(qualities(body.streams), ["4K", "1080p"]);
+  });
+});
+
+test("fallback sources answer when the primary fails or comes back empty", async () => {
+  await withAddon({}, async ({ get, requests }) => {
+    const failed = (await get("/stream/movie/tt0000003.json")).body;
+    assert.equal(failed.streams.length, 1);
+    assert.equal(failed.streams[0].infoHash, "6".repeat(40));
+
+    const empty = (await get("/stream/movie/tt0000004.json")).body;
+    assert.deepEqual(qualities(empty.streams), ["720p"]);
+    assert.ok(requests.some(u => u.startsWith("https://fallback.example/stream/movie/tt0000004.json")));
+
+    // nothing anywhere: an empty list, not an error
+    const none = await get("/stream/movie/tt0009999.json");
+    assert.equal(none.status, 200);
+    assert.deepEqual(none.body, { streams: [] });
+  });
+});
+
+test("/u/:cfg tokens add a personal Torrentio source and resolve cached picks via debrid", async () => {
+  const token = installToken({ debridProvider: "realdebrid", debridApiKey: "RDKEY", preferCached: true });
+  await withAddon({}, async ({ get, requests }) => {
+    const { body } = await get(`/u/${token}/stream/movie/tt0000005.json`);
+    const torrentio = requests.find(u => u.startsWith("https://torrentio.strem.fun/stream/movie/tt0000005.json"));
+    assert.match(torrentio, /debrid=realdebrid/);
+    assert.match(torrentio, /apikey=<redacted>/);
+
+    // cached 4K stays despite 3 seeders and points at the play route; the
+    // uncached 1080p keeps its magnet. Nothing is added to the account yet.
+    assert.deepEqual(qualities(body.streams), ["4K", "1080p"]);
+    const play = new URL(body.streams[0].url);
+    assert.equal(play.pathname, `/u/${token}/play/movie/tt0000005/${"a".repeat(40)}/-`);
+    assert.equal(body.streams[0].infoHash, undefined);
+    assert.match(body.streams[1].url, /^magnet:\?xt=urn:btih:b{40}/);
+    assert.ok(!requests.some(u => u.includes("/torrents/addMagnet")));
+
+    // playing it resolves the file on the debrid and redirects to the direct link
+    const played = await get(play.pathname, { redirect: "manual" });
+    assert.equal(played.status, 302);
+    assert.equal(played.headers.get("location"), "https://download.real-debrid.example/Fifth.Movie.2022.2160p.mkv");
+    assert.equal((await get(`/play/movie/tt0000005/${"a".repeat(40)}/-`, { redirect: "manual" })).status, 404);
+  });
+});
+
+test("legacy base64 tokens with a Torrentio link use it as is", async () => {
+  const token = Buffer.from(JSON.stringify({ torrentio: "https://torrentio.strem.fun/realdebrid=OLDKEY|sort=seeders" })).toString("base64url");
+  await withAddon({}, async ({ get, requests }) => {
+    const { body } = await get(`/u/${token}/stream/movie/tt0000001.json`);
+    assert.ok(requests.includes("https://torrentio.strem.fun/realdebrid=<redacted>/stream/movie/tt0000001.json?sort=seeders"));
+    // the legacy link's cached 4K REMUX joins the primary results and wins
+    assert.deepEqual(qualities(body.streams), ["4K", "1080p"]);
+    assert.equal(body.streams[0].infoHash, "8".repeat(40));
+  });
+});
+
+test("legacy Torrentio links never share cached results", async () => {
+  const legacy = link => Buffer.from(JSON.stringify({ torrentio: link })).toString("base64url");
+  await withAddon({}, async ({ get }) => {
+    const first = (await get(`/u/${legacy("https://torrentio.strem.fun/realdebrid=OLDKEY|sort=seeders")}/stream/movie/tt0000001.json`)).body;
+    assert.equal(first.streams[0].infoHash, "8".repeat(40));
+    // another user's link (no fixture: that source fails) gets its own lookup,
+    // not the first user's REMUX
+    const second = (await get(`/u/${legacy("https://torrentio.strem.fun/alldebrid=OTHERKEY")}/stream/movie/tt0000001.json`)).body;
+    assert.equal(second.streams[0].infoHash, "1".repeat(40));
+  });
+});
+
+test("a broken legacy link never opens the circuit for other users", async () => {
+  const legacy = link => Buffer.from(JSON.stringify({ torrentio: link })).toString("base64url");
+  await withAddon({ breaker: { failure_threshold: 1, cooldown_ms: 60000, window: 50 } }, async ({ get }) => {
+    await get(`/u/${legacy("https://torrentio.strem.fun/alldebrid=EXPIRED")}/stream/movie/tt0000001.json`);
+    await get(`/u/${legacy("https://torrentio.strem.fun/alldebrid=EXPIRED")}/stream/movie/tt0000002.json`);
+    const other = (await get(`/u/${legacy("https://torrentio.strem.fun/realdebrid=OLDKEY|sort=seeders")}/stream/movie/tt0000001.json`)).body;
+    assert.equal(other.streams[0].infoHash, "8".repeat(40));
+    const health = (await get("/health")).body;
+    assert.ok(!health.sources.some(s => s.source === "torrentio (legacy link)"));
+  });
+});
+
+test("a tampered token falls back to the default settings", async () => {
+  const token = installToken({ profile: "default", output: "single" }).slice(0, -4) + "AAAA";
+  await withAddon({}, async ({ get }) => {
+    const { status, body } = await get(`/u/${token}/stream/movie/tt0000002.json`);
+    assert.equal(status, 200);
+    assert.deepEqual(qualities(body.streams), ["4K", "1080p"]);
+  });
+});
+
+test("token settings: output mode and series episode filtering", async () => {
+  const token = installToken({ output: "single" });
+  await withAddon({}, async ({ get }) => {
+    const single = (await get(`/u/${token}/stream/movie/tt0000002.json`)).body;
+    assert.deepEqual(qualities(single.streams), ["4K"]);
+
+    const episode = (await get("/stream/series/tt0000006:1:2.json")).body;
+    assert.equal(episode.streams.length, 1);
+    assert.equal(episode.streams[0].infoHash, "9".repeat(40));
+    assert.match(episode.streams[0].title, /^Replay Show — The Second One — 1080p/);
+  });
+});
+
+test("a season pack listed without a file takes the episode's file from another source", async () => {
+  const sources = [...BASE_CONFIG.sources, { name: "second", url: "https://second.example" }];
+  await withAddon({ sources }, async ({ get }) => {
+    const { streams } = (await get("/stream/series/tt0000006:1:3.json")).body;
+    assert.equal(streams.length, 1);
+    assert.equal(streams[0].infoHash, "d".repeat(40));
+    assert.equal(streams[0].fileIdx, 2);
+    assert.equal(streams[0].behaviorHints.filename, "Replay.Show.S01E03.1080p.WEB-DL.x264-PACK.mkv");
+  });
+});
+
+test("output modes: the pick first, per-tier by tier and top-n in ranking order", async () => {
+  const streamsFor = async (get, settings) => (await get(`/u/${installToken(settings)}/stream/movie/tt0000001.json`)).body.streams;
+  await withAddon({}, async ({ get }) => {
+    // the 4K ranks highest but has few seeders, so the pick is the 1080p
+    assert.deepEqual(qualities(await streamsFor(get, { output: "single" })), ["1080p"]);
+    assert.deepEqual(qualities(await streamsFor(get, { output: "best+1080" })), ["1080p"]);
+    assert.deepEqual(qualities(await streamsFor(get, { output: "per-tier" })), ["4K", "1080p", "720p"]);
+    assert.deepEqual(qualities(await streamsFor(get, { output: "top-n", outputCount: 3 })), ["1080p", "4K", "720p"]);
+    assert.deepEqual(qualities(await streamsFor(get, { output: "top-n", outputCount: 2 })), ["1080p", "4K"]);
+    // a 4K pick with a 1080p second option
+    assert.deepEqual(qualities((await get(`/u/${installToken({ output: "best+1080" })}/stream/movie/tt0000002.json`)).body.streams), ["4K", "1080p"]);
+  });
+});
+
+test("token ranking overrides replace profile weights and downgrade thresholds", async () => {
+  const lowFourK = installToken({ ranking: { quality: { "2160p": 1000 } } });
+  const patient = installToken({ ranking: { prefer: { prefer1080_ratio: 100, prefer1080_delta: 5000 } } });
+  await withAddon({}, async ({ get }) => {
+    assert.deepEqual(qualities((await get(`/u/${lowFourK}/stream/movie/tt0000002.json`)).body.streams), ["1080p"]);
+    assert.deepEqual(qualities((await get(`/u/${patient}/stream/movie/tt0000001.json`)).body.streams), ["4K", "1080p"]);
+    const explain = (await get(`/u/${patient}/explain/movie/tt0000001.json`)).body;
+    assert.equal(explain.thresholds.used.prefer1080_ratio, 100);
+    assert.equal(explain.thresholds.used.prefer720_ratio, 3);
+  });
+});
+
+const form = fields => ({ method: "POST", body: new URLSearchParams(fields) });
+const manifestUrlOf = html => html.match(/<code>(http[^<]+\/manifest\.json)<\/code>/)[1];
+
+test("the configure form is validated and sent back with the errors", async () => {
+  await withAddon({}, async ({ get }) => {
+    const { status, body } = await get("/install", form({ debrid: "real-debrid", lang: "it, klingon", w_seeders_weight: "-5", q_2160p: "abc", profile: "nope" }));
+    assert.equal(status, 400);
+    assert.match(body, /Debrid API key: required/);
+    assert.match(body, /Preferred audio languages: unknown &quot;klingon&quot;/);
+    assert.match(body, /Seeders \(points per log of seeders\): must be a number from 0/);
+    assert.match(body, /2160p quality points: must be a number/);
+    assert.match(body, /Ranking profile: unknown &quot;nope&quot;/);
+    // what was typed stays in the form
+    assert.match(body, /name="lang" value="it, klingon"/);
+    assert.match(body, /<option value="real-debrid" selected>/);
+  });
+});
+
+test("profile names that are object built-ins fall back to the default profile", async () => {
+  await withAddon({}, async ({ get }) => {
+    const expected = qualities((await get("/stream/movie/tt0000001.json")).body.streams);
+    for (const profile of ["constructor", "__proto__", "toString"]) {
+      assert.deepEqual(qualities((await get(`/stream/movie/tt0000001.json?profile=${profile}`)).body.streams), expected);
+    }
+    const installed = await get("/install", form({ profile: "constructor" }));
+    assert.equal(installed.status, 400);
+    assert.match(installed.body, /Ranking profile: unknown &quot;constructor&quot;/);
+  });
+});
+
+test("the configure form rejects a stream title language that is an object built-in", async () => {
+  await withAddon({}, async ({ get }) => {
+    for (const ui of ["constructor", "toString"]) {
+      const { status, body } = await get("/install", form({ ui }));
+      assert.equal(status, 400);
+      assert.match(body, new RegExp(`Stream title language: unsupported &quot;${ui}&quot;`));
+    }
+  });
+});
+
+test("every form setting goes into the token, and a manifest URL loads back into the form without its API key", async () => {
+  await withAddon({}, async ({ get }) => {
+    const installed = await get("/install", form({
+      debrid: "real-debrid", apikey: "RDKEY", cached: "1", output: "top-n", n: "4", lang: "it", multi: "1",
+      exclude: "cam", block: "AV1", w_seeders_weight: "300", q_720p: "900", prefer_rule: "ratio_or_delta", prefer720_delta: "50"
+    }));
+    assert.equal(installed.status, 200);
+    const url = manifestUrlOf(installed.body);
+    const token = url.match(/\/u\/([^/]+)\/manifest\.json$/)[1];
+    const settings = createTokenCodec(SECRET).decode(token);
+    assert.equal(settings.debridApiKey, "RDKEY");
+    assert.deepEqual(settings.ranking, { weights: { seeders_weight: 300 }, quality: { "720p": 900 }, prefer: { prefer_rule: "ratio_or_delta", prefer720_delta: 50 } });
+    assert.deepEqual(settings.language, { audio: ["it"], dubbed: false, multi: true, ui: "it" });
+    assert.deepEqual([settings.output, settings.outputCount], ["top-n", 4]);
+
+    const { body: page } = await get(`/configure?manifest=${encodeURIComponent(url)}`);
+    assert.ok(!page.includes("RDKEY"));
+    assert.match(page, /Saved key is kept/);
+    assert.match(page, new RegExp(`name="from" value="${token}"`));
+    assert.match(page, /name="w_seeders_weight" min="0" max="100000" step="any" value="300"/);
+    assert.match(page, /<option value="ratio_or_delta" selected>/);
+    assert.match(page, /<option value="top-n" selected>/);
+    assert.match(page, /value="AV1" checked/);
+    assert.match(page, /id="dubbed" type="checkbox" name="dubbed" value="1" \/>/);
+
+    // saved again with the key field left blank: the key carries over
+    const edited = await get("/install", form({ from: token, debrid: "real-debrid", output: "single" }));
+    const again = createTokenCodec(SECRET).decode(manifestUrlOf(edited.body).match(/\/u\/([^/]+)\//)[1]);
+    assert.equal(again.debridApiKey, "RDKEY");
+    assert.equal(again.output, "single");
+
+    const bad = await get(`/configure?manifest=${encodeURIComponent("not a url")}`);
+    assert.match(bad.body, /That isn&#39;t a manifest URL/);
+  });
+});
+
+test("the configure preview shows the picks for a sample title with the form's settings", async () => {
+  const json = { Accept: "application/json" };
+  await withAddon({}, async ({ get }) => {
+    const plain = await get("/configure/preview", { ...form({ preview_id: "tt0000001" }), headers: json });
+    assert.equal(plain.status, 200);
+    assert.deepEqual(qualities(plain.body.streams), ["1080p"]);
+
+    const patient = await get("/configure/preview", { ...form({ preview_id: "tt0000001", prefer1080_ratio: "100", prefer1080_delta: "5000" }), headers: json });
+    assert.deepEqual(qualities(patient.body.streams), ["4K", "1080p"]);
+
+    const invalid = await get("/configure/preview", { ...form({ preview_id: "0000001", prefer1080_ratio: "-1" }), headers: json });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors.length, 2);
+
+    const html = await get("/configure/preview", form({ preview_id: "tt0000001" }));
+    assert.match(html.body, /<tr class="picked"><td>Replay\.Movie\.2020\.1080p/);
+  });
+});
+
+test("later episodes stick with the release group picked before, unless it is much worse", async () => {
+  const viewer = installToken({ profile: "default" });
+  const other = installToken({ profile: "default" });
+  await withAddon({}, async ({ get }) => {
+    const hashOf = async (token, ep) => (await get(`/u/${token}/stream/series/tt0000007:1:${ep}.json`)).body.streams[0].infoHash;
+
+    assert.equal(await hashOf(viewer, 1), "a1".repeat(20));
+    const explain = (await get(`/u/${viewer}/explain/series/tt0000007:1:2.json`)).body;
+    assert.equal(explain.history.group, "ALPHA");
+    assert.equal(explain.candidates.find(c => c.title.includes("ALPHA")).score.sticky, 600);
+
+    assert.equal(await hashOf(viewer, 2), "a2".repeat(20)); // fewer seeders, same group
+    assert.equal(await hashOf(other, 2), "b2".repeat(20)); // no history: best ranked
+    assert.equal(await hashOf(viewer, 3), "b3".repeat(20)); // ALPHA has 2 seeders left
+
+    const { body: remembered } = await get(`/u/${viewer}/history.json`);
+    assert.deepEqual(remembered.titles.tt0000007 && { ...remembered.titles.tt0000007, at: 0 },
+      { group: "BETA", resolution: "1080p", source: "WEB-DL", season: 1, episode: 3, at: 0 });
+
+    const reset = await get(`/u/${other}/history/reset`, { method: "POST", headers: { Accept: "application/json" } });
+    assert.deepEqual(reset.body, { reset: true, titles: 1 });
+    assert.deepEqual((await get(`/u/${other}/history.json`)).body.titles, {});
+    // query-style installs have no history
+    assert.equal((await get("/stream/series/tt0000007:1:2.json")).body.streams[0].infoHash, "b2".repeat(20));
+  });
+});
+
+test("catalogs list well-seeded titles from the configured ids and recent lookups, refreshed in the background", async () => {
+  const catalogs = { enabled: true, movies: ["tt0000001", "tt0000004"], series: ["tt0000007"], min_seeders: 100, recent_years: 0 };
+  await withAddon({ catalogs }, async ({ get, addon, requests }) => {
+    const { body: manifest } = await get("/manifest.json");
+    assert.deepEqual(manifest.resources, ["stream", "catalog", "meta"]);
+    assert.deepEqual(manifest.catalogs.map(c => `${c.type}/${c.id}`), ["movie/autostream-seeded", "series/autostream-seeded"]);
+
+    await addon.catalogs.refresh(); // the one started with the app
+    await get("/stream/movie/tt0000002.json");
+    await addon.catalogs.refresh();
+
+    const movies = (await get("/catalog/movie/autostream-seeded.json")).body.metas;
+    assert.deepEqual(movies.map(m => m.id), ["tt0000001", "tt0000002"]); // tt0000004 has 25 seeders
+    assert.deepEqual(movies[0], { id: "tt0000001", type: "movie", name: "Replay Movie", description: "AutoStream: 1080p · 900 seeders" });
+    assert.deepEqual((await get("/catalog/series/autostream-seeded.json")).body.metas.map(m => m.id), ["tt0000007"]);
+    assert.deepEqual((await get("/catalog/movie/autostream-seeded/skip=100.json")).body.metas, []);
+    // no debrid on this install
+    assert.deepEqual((await get("/catalog/movie/autostream-cached.json")).body.metas, []);
+
+    const { body: meta } = await get("/meta/movie/tt0000001.json");
+    assert.equal(meta.meta.runtime, "118 min");
+    assert.equal(meta.meta.description, "AutoStream: 1080p · 900 seeders");
+    // no Cinemeta fixture: what the catalog knows
+    assert.deepEqual((await get("/meta/movie/tt0000002.json")).body.meta, { id: "tt0000002", type: "movie", name: "tt0000002", description: "AutoStream: 4K · 300 seeders" });
+    assert.equal((await get("/meta/movie/tt0009999.json")).status, 404);
+    // titles outside the catalogs are left to Cinemeta, without asking it
+    assert.equal((await get("/meta/series/tt0000006.json")).status, 404);
+    assert.ok(!requests.some(u => u.includes("/meta/series/tt0000006")));
+  });
+});
+
+test("the debrid catalog lists titles with a candidate cached on the user's account", async () => {
+  const token = installToken({ debridProvider: "realdebrid", debridApiKey: "RDKEY" });
+  const catalogs = { enabled: true, movies: ["tt0000002"], include_recent: false, recent_years: 0 };
+  await withAddon({ catalogs }, async ({ get, addon, requests }) => {
+    const { body: manifest } = await get(`/u/${token}/manifest.json`);
+    assert.deepEqual(manifest.catalogs.map(c => `${c.type}/${c.id}`),
+      ["movie/autostream-seeded", "series/autostream-seeded", "movie/autostream-cached", "series/autostream-cached"]);
+
+    await addon.catalogs.refresh();
+    const { body } = await get(`/u/${token}/catalog/movie/autostream-cached.json`);
+    assert.deepEqual(body.metas.map(m => m.id), ["tt0000002"]);
+    assert.ok(requests.includes(`https://api.real-debrid.com/rest/1.0/torrents/instantAvailability/${"4".repeat(40)}/${"5".repeat(40)}`));
+  });
+});
+
+test("a config reload applies the new cache size", async () => {
+  await withAddon({}, async ({ get, addon }) => {
+    const { config } = validateConfig({ ...BASE_CONFIG, cache: { max_entries: 1 } });
+    addon.applyConfig(config);
+    await get("/stream/movie/tt0000001.json");
+    await get("/stream/movie/tt0000002.json");
+    assert.equal((await get("/health")).body.cache.streams, 1);
+  });
+});
+
+test("throttled Stremio requests get an empty list, everything else a 429", async () => {
+  await withAddon({ rate_limit: { ip_per_minute: 1, ip_burst: 1 } }, async ({ get }) => {
+    assert.equal((await get("/manifest.json")).status, 200);
+    const streams = await get("/stream/movie/tt0000002.json");
+    assert.equal(streams.status, 200);
+    assert.deepEqual(streams.body, { streams: [] });
+    assert.equal(streams.headers.get("retry-after"), "60");
+    assert.deepEqual((await get("/catalog/movie/autostream-seeded/skip=100.json")).body, { metas: [] });
+    assert.equal((await get("/manifest.json")).status, 429);
+    assert.equal((await get("/health")).status, 200);
+  });
+});
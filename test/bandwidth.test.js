@@ -0,0 +1,62 @@
+// test/bandwidth.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeConnection, parseRuntime, estimatePlayback, prefersLower } = require("../lib/bandwidth");
+const { DEFAULTS } = require("../lib/config");
+
+const settings = DEFAULTS.bandwidth;
+const GB = 1024 ** 3;
+
+test("connection profiles need a positive speed", () => {
+  assert.equal(normalizeConnection("", "stream"), null);
+  assert.equal(normalizeConnection("0"), null);
+  assert.deepEqual(normalizeConnection("50", "download"), { mbps: 50, usage: "download" });
+  assert.deepEqual(normalizeConnection(25.5, "bogus"), { mbps: 25.5, usage: "stream" });
+});
+
+test("parses Cinemeta runtimes", () => {
+  assert.equal(parseRuntime("142 min"), 142);
+  assert.equal(parseRuntime("2h 22min"), 142);
+  assert.equal(parseRuntime("2h"), 120);
+  assert.equal(parseRuntime("45"), 45);
+  assert.equal(parseRuntime(""), null);
+  assert.equal(parseRuntime(undefined), null);
+});
+
+test("streaming: bitrate from size and runtime, throughput from seeders", () => {
+  // 20 GB over 120 min ≈ 23.9 Mbps; 30 seeders × 0.3 = 9 Mbps
+  const uhd = estimatePlayback({ quality: "2160p", sizeBytes: 20 * GB, seeders: 30, cached: false, runtimeMin: 120 },
+    { mbps: 100, usage: "stream" }, settings);
+  assert.equal(uhd.bitrateMbps, 23.86);
+  assert.equal(uhd.throughputMbps, 9);
+  assert.equal(uhd.playable, false);
+
+  // the same file cached on debrid is limited by the connection only
+  const cached = estimatePlayback({ quality: "2160p", sizeBytes: 20 * GB, seeders: 0, cached: true, runtimeMin: 120 },
+    { mbps: 100, usage: "stream" }, settings);
+  assert.equal(cached.throughputMbps, 100);
+  assert.equal(cached.playable, true);
+
+  // no size: typical bitrate for the tier
+  const hd = estimatePlayback({ quality: "1080p", sizeBytes: null, seeders: 200, cached: false, runtimeMin: 120 },
+    { mbps: 20, usage: "stream" }, settings);
+  assert.equal(hd.bitrateMbps, 8);
+  assert.equal(hd.throughputMbps, 20);
+  assert.equal(hd.margin, 2);
+
+  assert.equal(prefersLower(hd, uhd), true);
+  assert.equal(prefersLower(hd, cached), false);
+});
+
+test("downloading only needs to finish within runtime × download_factor", () => {
+  // 20 GB at 9 Mbps takes ~318 min; the window is 240 min
+  const slow = estimatePlayback({ quality: "2160p", sizeBytes: 20 * GB, seeders: 30, cached: false, runtimeMin: 120 },
+    { mbps: 100, usage: "download" }, settings);
+  assert.equal(slow.playable, false);
+  const ok = estimatePlayback({ quality: "2160p", sizeBytes: 20 * GB, seeders: 60, cached: false, runtimeMin: 120 },
+    { mbps: 100, usage: "download" }, settings);
+  assert.equal(ok.playable, true);
+  const none = estimatePlayback({ quality: "720p", sizeBytes: GB, seeders: 0, cached: false, runtimeMin: 120 },
+    { mbps: 100, usage: "download" }, settings);
+  assert.equal(none.margin, 0);
+});
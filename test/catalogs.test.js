@@ -0,0 +1,80 @@
+// test/catalogs.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCatalogStore } = require("../lib/catalogs");
+
+const JUNE_2026 = Date.UTC(2026, 5, 1);
+const SETTINGS = { enabled: true, movies: ["tt1"], series: [], include_recent: true, max_titles: 3, refresh_ms: 60000, min_seeders: 100, recent_years: 2 };
+const found = (seeders, year, hashes = []) => ({ name: `Movie ${year}`, poster: null, year, quality: "1080p", seeders, hashes });
+
+test("the pool is the configured titles, then recent lookups, most recent first", async () => {
+  const checked = [];
+  const store = createCatalogStore({ settings: () => SETTINGS, now: () => JUNE_2026, check: async (type, id) => { checked.push(`${type}/${id}`); return null; } });
+  store.noteLookup("movie", "tt2");
+  store.noteLookup("series", "tt3:1:4");
+  store.noteLookup("movie", "tt1");
+  store.noteLookup("channel", "tt9");
+  store.noteLookup("movie", "kitsu:1");
+  await store.refresh();
+  assert.deepEqual(checked, ["movie/tt1", "series/tt3", "movie/tt2"]);
+});
+
+test("well-seeded new releases: enough seeders and recent enough, best seeded first, paged", async () => {
+  const results = { tt1: found(900, 2026), tt2: found(50, 2026), tt3: found(300, 2025), tt4: found(5000, 2019) };
+  const store = createCatalogStore({
+    settings: () => ({ ...SETTINGS, movies: Object.keys(results), max_titles: 10 }),
+    now: () => JUNE_2026,
+    check: async (_type, id) => results[id]
+  });
+  await store.refresh();
+  assert.deepEqual(store.list("seeded", "movie").map(m => m.id), ["tt1", "tt3"]);
+  assert.deepEqual(store.list("seeded", "movie")[0], { id: "tt1", type: "movie", name: "Movie 2026", releaseInfo: "2026", description: "AutoStream: 1080p · 900 seeders" });
+  assert.deepEqual(store.list("seeded", "movie", { skip: 1 }).map(m => m.id), ["tt3"]);
+  assert.deepEqual(store.list("seeded", "series"), []);
+});
+
+test("debrid catalog: titles with a cached candidate", async () => {
+  const results = { tt1: found(900, 2026, ["a", "b"]), tt2: found(300, 2026, ["c"]) };
+  const store = createCatalogStore({ settings: () => ({ ...SETTINGS, movies: ["tt1", "tt2"] }), now: () => JUNE_2026, check: async (_type, id) => results[id] });
+  await store.refresh();
+  assert.deepEqual(store.hashes(), ["a", "b", "c"]);
+  assert.deepEqual(store.list("cached", "movie", { available: new Set(["c"]) }).map(m => m.id), ["tt2"]);
+  assert.deepEqual(store.list("cached", "movie"), []);
+});
+
+test("a failed check keeps the last entry; titles that left the pool are dropped", async () => {
+  let settings = { ...SETTINGS, movies: ["tt1", "tt2"], recent_years: 0 };
+  let fail = false;
+  const store = createCatalogStore({
+    settings: () => settings,
+    now: () => JUNE_2026,
+    check: async () => { if (fail) throw new Error("upstream down"); return found(500, 2020); }
+  });
+  await store.refresh();
+  assert.equal(store.size, 2);
+
+  fail = true;
+  const warn = console.warn;
+  console.warn = () => {};
+  try { await store.refresh(); } finally { console.warn = warn; }
+  assert.equal(store.size, 2);
+
+  settings = { ...settings, movies: ["tt2"] };
+  fail = false;
+  await store.refresh();
+  assert.equal(store.entry("movie", "tt1"), null);
+  assert.equal(store.entry("movie", "tt2").seeders, 500);
+});
+
+test("refresh joins the run in progress; disabled stores don't start", async () => {
+  let calls = 0;
+  const store = createCatalogStore({ settings: () => SETTINGS, check: async () => { calls++; return null; } });
+  await Promise.all([store.refresh(), store.refresh()]);
+  assert.equal(calls, 1);
+
+  const disabled = createCatalogStore({ settings: () => ({ ...SETTINGS, enabled: false }), check: async () => { calls++; return null; } });
+  disabled.start();
+  disabled.noteLookup("movie", "tt5");
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(calls, 1);
+});
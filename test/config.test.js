@@ -0,0 +1,95 @@
+// test/config.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { DEFAULTS, validateConfig, applyEnvOverrides, loadConfig, loadConfigForReload } = require("../lib/config");
+
+test("the shipped config.json is valid", () => {
+  const { errors } = loadConfig(path.join(__dirname, "..", "config.json"), {});
+  assert.deepEqual(errors, []);
+});
+
+test("reports typos, wrong types and bad values with their path", () => {
+  const { config, errors } = validateConfig({
+    sources: ["ftp://example.com"],
+    prefer_lower_quality: { prefer_rul: "ratio_or_delta", prefer1080_ratio: "2", prefer720_delta: -1 },
+    timeouts: { source_ms: 1.5 },
+    ranking_profiles: { fast: { seeders_wieght: 400 } },
+    fallback_source: []
+  });
+  assert.equal(config, null);
+  assert.deepEqual(errors, [
+    'sources[0]: must be an http(s) URL (got "ftp://example.com")',
+    'prefer_lower_quality.prefer_rul: unknown setting (did you mean "prefer_rule"?)',
+    'prefer_lower_quality.prefer1080_ratio: must be a number (got "2")',
+    "prefer_lower_quality.prefer720_delta: must be >= 0 (got -1)",
+    "timeouts.source_ms: must be a whole number (got 1.5)",
+    'ranking_profiles.fast.seeders_wieght: unknown setting (did you mean "seeders_weight"?)',
+    'fallback_source: unknown setting (did you mean "fallback_sources"?)'
+  ]);
+  assert.deepEqual(validateConfig({ prefer_lower_quality: { prefer_rule: "ratio_or" } }).errors,
+    ['prefer_lower_quality.prefer_rule: must be one of "ratio_and_delta", "ratio_or_delta" (got "ratio_or")']);
+});
+
+test("fills defaults per section", () => {
+  const { config } = validateConfig({ timeouts: { source_ms: 2000 } });
+  assert.deepEqual(config.timeouts, { source_ms: 2000, deadline_ms: DEFAULTS.timeouts.deadline_ms });
+  assert.deepEqual(config.sources, []);
+  assert.equal(config.prefer_lower_quality.prefer_rule, "ratio_and_delta");
+});
+
+test("env overrides are applied before validation", () => {
+  const { raw, applied } = applyEnvOverrides({ sources: ["https://a.example"] }, {
+    AUTOSTREAM__SOURCES: "https://b.example, https://c.example",
+    AUTOSTREAM__PREFER_LOWER_QUALITY__PREFER_RULE: "ratio_or_delta",
+    AUTOSTREAM__TIMEOUTS__DEADLINE_MS: "12000",
+    AUTOSTREAM__DEBRID__RESOLVE: "false",
+    AUTOSTREAM_SECRET: "not a setting"
+  });
+  assert.equal(applied.length, 4);
+  assert.deepEqual(raw.sources, ["https://b.example", "https://c.example"]);
+  const { config, errors } = validateConfig(raw);
+  assert.deepEqual(errors, []);
+  assert.equal(config.prefer_lower_quality.prefer_rule, "ratio_or_delta");
+  assert.equal(config.timeouts.deadline_ms, 12000);
+  assert.equal(config.debrid.resolve, false);
+
+  const bad = applyEnvOverrides({}, { AUTOSTREAM__TIMEOUTS__SOURCE_MS: "soon" }).raw;
+  assert.deepEqual(validateConfig(bad).errors, ['timeouts.source_ms: must be a number (got "soon")']);
+});
+
+test("missing file falls back to defaults, broken JSON is an error", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "autostream-config-"));
+  try {
+    const missing = loadConfig(path.join(dir, "config.json"), {});
+    assert.equal(missing.missing, true);
+    assert.deepEqual(missing.errors, []);
+    assert.deepEqual(missing.config.sources, []);
+
+    fs.writeFileSync(path.join(dir, "config.json"), "{ nope");
+    const broken = loadConfig(path.join(dir, "config.json"), {});
+    assert.equal(broken.config, null);
+    assert.equal(broken.errors.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("on reload a missing file is an error, so the last good config stays", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "autostream-config-"));
+  const file = path.join(dir, "config.json");
+  try {
+    const missing = loadConfigForReload(file, {});
+    assert.equal(missing.config, null);
+    assert.deepEqual(missing.errors, [`${file}: not found`]);
+
+    fs.writeFileSync(file, JSON.stringify({ sources: ["https://primary.example"] }));
+    const present = loadConfigForReload(file, {});
+    assert.deepEqual(present.errors, []);
+    assert.equal(present.config.sources.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,135 @@
+// test/debrid.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { createDebridClient, normalizeProvider, infoHashOf, pickFile } = require("../lib/debrid");
+
+const CACHED = "a".repeat(40);
+const UNCACHED = "b".repeat(40);
+const MAGNET = `magnet:?xt=urn:btih:${CACHED}&dn=Movie`;
+
+// One mock server that speaks just enough of each provider's API.
+function mockServer() {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      const u = new URL(req.url, "http://x");
+      seen.push({ method: req.method, path: u.pathname, query: u.searchParams, body: new URLSearchParams(body), auth: req.headers.authorization });
+      const json = (data, status = 200) => { res.statusCode = status; res.setHeader("content-type", "application/json"); res.end(JSON.stringify(data)); };
+
+      // Real-Debrid
+      if (u.pathname.startsWith("/rd/torrents/instantAvailability/")) {
+        if (req.headers.authorization === "Bearer rd-disabled") return json({ error: "disabled_endpoint", error_code: 37 }, 403);
+        if (req.headers.authorization !== "Bearer rd-key") return json({ error: "bad_token" }, 401);
+        return json({ [CACHED]: { rd: [{ 1: { filename: "Movie.mkv", filesize: 1 } }] }, [UNCACHED]: [] });
+      }
+      if (u.pathname === "/rd/torrents") {
+        if (req.headers.authorization !== "Bearer rd-disabled") return json({ error: "bad_token" }, 401);
+        return json([{ id: "T0", hash: CACHED.toUpperCase(), status: "downloaded" }, { id: "T9", hash: UNCACHED, status: "downloading" }]);
+      }
+      if (u.pathname === "/rd/torrents/addMagnet") return json({ id: "T1" });
+      if (u.pathname === "/rd/torrents/info/T1") {
+        return json({
+          status: seen.some(s => s.path === "/rd/torrents/selectFiles/T1") ? "downloaded" : "waiting_files_selection",
+          files: [{ id: 1, path: "/Sample.mkv", bytes: 10 }, { id: 2, path: "/Movie.mkv", bytes: 1000 }],
+          links: ["https://real-debrid.com/d/HOSTED"]
+        });
+      }
+      if (u.pathname === "/rd/torrents/selectFiles/T1") { res.statusCode = 204; return res.end(); }
+      if (u.pathname === "/rd/unrestrict/link") return json({ download: "https://rd.example/dl/Movie.mkv" });
+
+      // AllDebrid
+      if (u.pathname === "/ad/magnet/instant") {
+        return json({ status: "success", data: { magnets: u.searchParams.getAll("magnets[]").map(h => ({ hash: h, instant: h === CACHED })) } });
+      }
+      if (u.pathname === "/ad/magnet/upload") return json({ status: "success", data: { magnets: [{ id: 7, ready: true }] } });
+      if (u.pathname === "/ad/magnet/status") {
+        return json({ status: "success", data: { magnets: { links: [{ link: "https://alldebrid.com/f/1", filename: "Movie.mkv", size: 1000 }, { link: "https://alldebrid.com/f/2", filename: "Movie.nfo", size: 1 }] } } });
+      }
+      if (u.pathname === "/ad/link/unlock") return json({ status: "success", data: { link: "https://ad.example/dl/Movie.mkv" } });
+
+      // Premiumize
+      if (u.pathname === "/pm/cache/check") {
+        return json({ status: "success", response: u.searchParams.getAll("items[]").map(h => h === CACHED) });
+      }
+      if (u.pathname === "/pm/transfer/directdl") {
+        return json({ status: "success", content: [{ path: "Movie/Movie.mkv", size: 1000, link: "https://pm.example/dl/Movie.mkv" }] });
+      }
+      json({ error: "not found" }, 404);
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve({ server, seen, base: `http://127.0.0.1:${server.address().port}` })));
+}
+
+const PROVIDERS = [
+  ["real-debrid", "rd", "rd-key", "https://rd.example/dl/Movie.mkv"],
+  ["alldebrid", "ad", "ad-key", "https://ad.example/dl/Movie.mkv"],
+  ["premiumize", "pm", "pm-key", "https://pm.example/dl/Movie.mkv"]
+];
+
+for (const [provider, prefix, apikey, link] of PROVIDERS) {
+  test(`${provider}: checkCached and resolve against mock API`, async () => {
+    const { server, base } = await mockServer();
+    try {
+      const client = createDebridClient(provider, { apikey, baseUrl: `${base}/${prefix}` });
+      const cached = await client.checkCached([CACHED, UNCACHED]);
+      assert.equal(cached.get(CACHED), true);
+      assert.equal(cached.get(UNCACHED), false);
+      assert.equal(await client.resolve(MAGNET), link);
+    } finally {
+      server.close();
+    }
+  });
+}
+
+test("real-debrid selects the largest video file and surfaces API errors", async () => {
+  const { server, base, seen } = await mockServer();
+  try {
+    await createDebridClient("real-debrid", { apikey: "rd-key", baseUrl: `${base}/rd` }).resolve(MAGNET);
+    const select = seen.find(s => s.path === "/rd/torrents/selectFiles/T1");
+    assert.equal(select.body.get("files"), "2");
+
+    const bad = createDebridClient("real-debrid", { apikey: "wrong", baseUrl: `${base}/rd` });
+    await assert.rejects(bad.checkCached([CACHED]), /RealDebrid HTTP 401: bad_token/);
+  } finally {
+    server.close();
+  }
+});
+
+test("real-debrid falls back to the account's downloaded torrents when instantAvailability is disabled", async () => {
+  const { server, base, seen } = await mockServer();
+  try {
+    const cached = await createDebridClient("real-debrid", { apikey: "rd-disabled", baseUrl: `${base}/rd` }).checkCached([CACHED, UNCACHED]);
+    assert.equal(cached.get(CACHED), true);
+    assert.equal(cached.get(UNCACHED), false);
+    assert.ok(seen.some(s => s.path === "/rd/torrents"));
+  } finally {
+    server.close();
+  }
+});
+
+test("helpers", () => {
+  assert.equal(normalizeProvider("Real-Debrid"), "realdebrid");
+  assert.equal(normalizeProvider("pm"), "premiumize");
+  assert.equal(normalizeProvider("torbox"), null);
+  assert.equal(createDebridClient("alldebrid", { apikey: "" }), null);
+  assert.equal(infoHashOf({ infoHash: CACHED.toUpperCase() }), CACHED);
+  assert.equal(infoHashOf({ url: MAGNET }), CACHED);
+  assert.equal(infoHashOf({ url: "https://x" }), null);
+  const files = [{ name: "a.mkv", size: 1 }, { name: "b.mkv", size: 5 }, { name: "c.iso", size: 9 }];
+  assert.equal(pickFile(files).name, "b.mkv");
+  assert.equal(pickFile(files, { fileIdx: 0 }).name, "a.mkv");
+  assert.equal(pickFile(files, { filename: "c.iso" }).name, "c.iso");
+  const pack = [
+    { name: "Show.S02/Show.S02E04.mkv", size: 900 },
+    { name: "Show.S02/Show.S02E05.mkv", size: 800 },
+    { name: "Show.S02/Show.S02E15.mkv", size: 950 }
+  ];
+  assert.equal(pickFile(pack, { season: 2, episode: 5 }).name, "Show.S02/Show.S02E05.mkv");
+  // an episode the pack doesn't have: no file, not the largest one
+  assert.equal(pickFile(pack, { season: 3, episode: 1 }), null);
+  assert.equal(pickFile([{ name: "Show.S02E15.mkv", size: 950 }], { season: 2, episode: 5 }), null);
+  assert.equal(pickFile([{ name: "Show Episode Five.mkv", size: 950 }, { name: "info.nfo", size: 1 }], { season: 2, episode: 5 }).name, "Show Episode Five.mkv");
+});
@@ -0,0 +1,63 @@
+// test/history.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { createHistoryStore } = require("../lib/history");
+
+const DAY = 24 * 60 * 60 * 1000;
+const release = group => ({ group, resolution: "1080p", source: "WEB-DL" });
+
+test("remembers per user and title, forgets on request", () => {
+  const store = createHistoryStore({ settings: () => ({ retention_days: 30, max_users: 10, max_titles_per_user: 10 }), now: () => 0 });
+  store.remember("u1", "tt1", release("ALPHA"));
+  store.remember("u2", "tt1", release("BETA"));
+  assert.equal(store.get("u1", "tt1").group, "ALPHA");
+  assert.equal(store.get("u2", "tt1").group, "BETA");
+  assert.equal(store.get("u1", "tt2"), null);
+  assert.equal(store.forget("u1"), 1);
+  assert.equal(store.get("u1", "tt1"), null);
+  assert.equal(store.size, 1);
+});
+
+test("retention and size limits", () => {
+  let t = 0;
+  const settings = { retention_days: 30, max_users: 2, max_titles_per_user: 2 };
+  const store = createHistoryStore({ settings: () => settings, now: () => t });
+  store.remember("u1", "tt1", release("A"));
+  store.remember("u1", "tt2", release("B"));
+  store.remember("u1", "tt3", release("C")); // tt1 is the oldest title
+  assert.deepEqual(Object.keys(store.entries("u1")), ["tt2", "tt3"]);
+
+  t += DAY;
+  store.remember("u2", "tt1", release("D"));
+  t += DAY;
+  store.remember("u3", "tt1", release("E")); // u1 is the least recently active user
+  assert.deepEqual(store.entries("u1"), {});
+  assert.equal(store.size, 2);
+
+  t += 31 * DAY;
+  assert.equal(store.get("u3", "tt1"), null);
+});
+
+test("saves to and loads from a file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "autostream-history-"));
+  const file = path.join(dir, "history.json");
+  const settings = () => ({ retention_days: 0, max_users: 10, max_titles_per_user: 10 });
+  try {
+    const store = createHistoryStore({ file, settings });
+    store.remember("u1", "tt1", { ...release("ALPHA"), season: 1, episode: 4 });
+    store.flush();
+    const loaded = createHistoryStore({ file, settings });
+    assert.deepEqual({ ...loaded.get("u1", "tt1"), at: 0 }, { ...release("ALPHA"), season: 1, episode: 4, at: 0 });
+
+    fs.writeFileSync(file, "not json");
+    const original = console.warn;
+    console.warn = () => {};
+    try { assert.equal(createHistoryStore({ file, settings }).size, 0); }
+    finally { console.warn = original; }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,36 @@
+// test/i18n.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { localeFor, titleLabel, audioLine } = require("../lib/i18n");
+const { parseRelease } = require("../lib/parse-release");
+
+const episode = { title: "Dark", season: 1, episode: 2, episodeTitle: null };
+
+test("English keeps the S01E02 marker, or the episode name instead", () => {
+  assert.equal(titleLabel(episode, "en"), "Dark — S01E02");
+  assert.equal(titleLabel({ ...episode, episodeTitle: "Lies" }, "en"), "Dark — Lies");
+  assert.equal(titleLabel({ title: "Heat", season: null, episode: null }, "it"), "Heat");
+});
+
+test("episode template is translated", () => {
+  assert.equal(titleLabel(episode, "it"), "Dark — Stagione 1, episodio 2");
+  assert.equal(titleLabel(episode, "de"), "Dark — Staffel 1, Folge 2");
+  assert.equal(titleLabel({ ...episode, episodeTitle: "Lies" }, "es"), "Dark — Temporada 1, episodio 2: Lies");
+  assert.equal(titleLabel(episode, "xx"), "Dark — S01E02");
+  assert.equal(localeFor("fr"), "fr");
+  assert.equal(localeFor("ja"), "en");
+});
+
+test("object built-ins are not locales", () => {
+  for (const v of ["constructor", "__proto__", "toString"]) {
+    assert.equal(localeFor(v), "en");
+    assert.equal(titleLabel(episode, v), "Dark — S01E02");
+  }
+  assert.equal(audioLine(parseRelease("Film.2019.1080p.WEB-DL.ITA.x264"), "constructor"), "Audio: Italian");
+});
+
+test("audio line names the release's languages in the user's locale", () => {
+  assert.equal(audioLine(parseRelease("Film.2019.1080p.WEB-DL.ITA.ENG.x264"), "it"), "Audio: italiano, inglese");
+  assert.equal(audioLine(parseRelease("Film.2019.1080p 🇩🇪 DUBBED"), "de"), "Ton: Deutsch · synchronisiert");
+  assert.equal(audioLine(parseRelease("Film.2019.1080p.WEB-DL.x264"), "en"), "");
+});
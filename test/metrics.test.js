@@ -0,0 +1,37 @@
+// test/metrics.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRegistry } = require("../lib/metrics");
+
+test("renders counters with escaped labels", () => {
+  const r = createRegistry();
+  const c = r.counter("x_total", "Things", ["source", "result"]);
+  c.inc({ source: "https://a.example", result: "ok" });
+  c.inc({ source: "https://a.example", result: "ok" }, 2);
+  c.inc({ source: 'we"ird\\', result: "error" });
+  r.counter("empty_total", "Nothing yet");
+  assert.equal(r.render(), [
+    "# HELP x_total Things",
+    "# TYPE x_total counter",
+    'x_total{source="https://a.example",result="ok"} 3',
+    'x_total{source="we\\"ird\\\\",result="error"} 1',
+    "# HELP empty_total Nothing yet",
+    "# TYPE empty_total counter",
+    ""
+  ].join("\n"));
+});
+
+test("renders cumulative histogram buckets, sum and count", () => {
+  const r = createRegistry();
+  const h = r.histogram("t_seconds", "Time", ["route"], [0.1, 1]);
+  h.observe({ route: "stream" }, 0.05);
+  h.observe({ route: "stream" }, 0.5);
+  h.observe({ route: "stream" }, 3);
+  assert.deepEqual(r.render().trim().split("\n").slice(2), [
+    't_seconds_bucket{route="stream",le="0.1"} 1',
+    't_seconds_bucket{route="stream",le="1"} 2',
+    't_seconds_bucket{route="stream",le="+Inf"} 3',
+    't_seconds_sum{route="stream"} 3.55',
+    't_seconds_count{route="stream"} 3'
+  ]);
+});
@@ -0,0 +1,124 @@
+// test/parse-release.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRelease, releaseHasKeyword, describeRelease, episodeMatch } = require("../lib/parse-release");
+
+const GB = 1024 ** 3;
+const MB = 1024 ** 2;
+
+// [label, expected subset of parseRelease(label)]
+const CASES = [
+  ["The.Matrix.1999.2160p.UHD.BluRay.REMUX.HDR.HEVC.TrueHD.Atmos.7.1-FGT\n👤 152 💾 58.3 GB ⚙️ ThePirateBay",
+    { resolution: "2160p", source: "REMUX", videoCodec: "HEVC", hdr: ["HDR"], audioCodec: "TrueHD", atmos: true,
+      audioChannels: "7.1", group: "FGT", year: 1999, seeders: 152, size: Math.round(58.3 * GB) }],
+  ["Oppenheimer.2023.1080p.WEB-DL.DDP5.1.Atmos.H.264-FLUX\n👤 2210 💾 7.8 GB ⚙️ 1337x",
+    { resolution: "1080p", source: "WEB-DL", videoCodec: "AVC", audioCodec: "DD+", atmos: true, audioChannels: "5.1", group: "FLUX" }],
+  ["The.Bear.S02E05.2160p.DSNP.WEB-DL.DDP5.1.DV.HDR.H.265-NTb.mkv\n👤 40 💾 4.1 GB ⚙️ ThePirateBay [RD+] Torrentio\n4k DV | HDR",
+    { resolution: "2160p", source: "WEB-DL", videoCodec: "HEVC", hdr: ["DV", "HDR"], group: "NTb",
+      debrid: { service: "realdebrid", cached: true } }],
+  ["Dune.Part.Two.2024.2160p.WEB-DL.DDP5.1.Atmos.DV.HDR10+.H.265-FLUX",
+    { resolution: "2160p", hdr: ["DV", "HDR10+"], group: "FLUX", year: 2024 }],
+  ["Blade.Runner.2049.2017.2160p.UHD.BluRay.x265.10bit.HDR10.DTS-HD.MA.7.1-SWTYBLZ",
+    { resolution: "2160p", source: "BluRay", videoCodec: "HEVC", hdr: ["HDR10"], audioCodec: "DTS-HD MA", audioChannels: "7.1", year: 2017 }],
+  ["Dune Part Two 2024 HDCAM 1080p x264 ENG-NOGRP",
+    { resolution: "1080p", source: "CAM", languages: ["en"] }],
+  ["Deadpool.and.Wolverine.2024.HDTS.1080p.x264-XBET",
+    { source: "TS", group: "XBET" }],
+  ["Inception.2010.MULTi.TRUEFRENCH.1080p.BluRay.x264.AC3-GZR",
+    { source: "BluRay", audioCodec: "DD", languages: ["fr"], multiAudio: true, group: "GZR" }],
+  ["The.Italian.Job.2003.720p.BluRay.x264.ITA.ENG.AC3.Sub.ITA.ENG-BlackBit",
+    { resolution: "720p", languages: ["it", "en"], subtitles: ["it", "en"], group: "BlackBit" }],
+  ["The.Italian.Job.2003.1080p.BluRay.x264-AMIABLE",
+    { languages: [], group: "AMIABLE" }],
+  ["Amelie.2001.1080p.BluRay.x264.French.ENG.Subs-GRP",
+    { languages: ["fr"], subtitles: ["en"] }],
+  ["Pathaan 2023 Hindi 1080p WEB-DL AVC DD5.1 ESub",
+    { source: "WEB-DL", videoCodec: "AVC", audioCodec: "DD", audioChannels: "5.1", languages: ["hi"], subtitles: ["en"] }],
+  ["La Casa de Papel S01 1080p NF WEB-DL Dual Audio ESP ENG 🇪🇸 / 🇬🇧",
+    { source: "WEB-DL", multiAudio: true, languages: ["es", "en"] }],
+  ["Cidade.de.Deus.2002.720p.BluRay.Dublado.x264",
+    { languages: ["pt"], dubbed: true }],
+  ["Breaking.Bad.S05E14.720p.HDTV.x264-IMMERSE [350 seeders] 700 MB",
+    { resolution: "720p", source: "HDTV", group: "IMMERSE", seeders: 350, size: 700 * MB }],
+  ["Some Movie (2021) [1080p] [WEBRip] [5.1] [YTS.MX]",
+    { resolution: "1080p", source: "WEBRip", audioChannels: "5.1", group: "YTS.MX", year: 2021 }],
+  ["Spirited.Away.2001.1080p.BluRay.AV1.Opus.2.0-Tsundere",
+    { videoCodec: "AV1", audioCodec: "Opus", audioChannels: "2.0" }],
+  ["Planet.Earth.II.S01.2160p.UHD.BluRay.HLG.HEVC.FLAC.5.1-NOGRP",
+    { hdr: ["HLG"], audioCodec: "FLAC" }],
+  ["Old.Movie.1958.DVDRip.XviD.MP3-RARBG",
+    { resolution: null, source: "DVDRip", videoCodec: "XviD", audioCodec: "MP3", year: 1958 }],
+  // false hits the old substring checks produced
+  ["Road.Trip.2000.Unrated.DVDRip",
+    { resolution: null, debrid: null, year: 2000 }],
+  ["Bad.Boys.For.Life.2020.720p.BluRay",
+    { resolution: "720p", debrid: null }],
+  ["Arcadian 2024 720p AMZN WEBRip",
+    { source: "WEBRip", debrid: null, languages: [] }],
+  ["The.Boys.S04E01.1080p.AMZN.WEB.H264-NTb",
+    { source: "WEB-DL" }],
+  ["Movie.2023.1080p.HDTV.x264.ts",
+    { source: "HDTV" }],
+  ["Movie.2023.1080p.x264-TC",
+    { source: null, group: "TC" }],
+  ["Movie.2023.TC.720p.x264-GRP",
+    { source: "TS" }],
+  ["[AD download] Torrentio\n1080p Movie.2019.1080p.WEB-DL",
+    { debrid: { service: "alldebrid", cached: false } }],
+  ["Movie 2020 1080p 2.4GiB seeds: 77",
+    { seeders: 77, size: Math.round(2.4 * GB) }],
+  // series: episodes, multi-episode releases and season packs
+  ["Breaking.Bad.S05E14.720p.HDTV.x264-IMMERSE",
+    { seasons: [5], episodes: [14], pack: false }],
+  ["Friends.S01E01E02.1080p.BluRay.x265-RARBG",
+    { seasons: [1], episodes: [1, 2], pack: false }],
+  ["Mr.Robot.S04E01-03.720p.WEB.h264-TBS",
+    { seasons: [4], episodes: [1, 2, 3], pack: false }],
+  ["Doctor Who 2x05 HDTV XviD",
+    { seasons: [2], episodes: [5] }],
+  ["The.Office.US.S01-S09.COMPLETE.1080p.WEB-DL",
+    { seasons: [1, 2, 3, 4, 5, 6, 7, 8, 9], episodes: [], pack: true }],
+  ["Dark Season 2 Complete 1080p WEBRip",
+    { seasons: [2], episodes: [], pack: true }],
+  ["The.Bear.S02.1080p.DSNP.WEB-DL.DDP5.1.H.264-NTb\nThe.Bear.S02E05.Pasta.1080p.mkv\n👤 88 💾 1.9 GB",
+    { name: "The.Bear.S02.1080p.DSNP.WEB-DL.DDP5.1.H.264-NTb", seasons: [2], episodes: [5], pack: true }]
+];
+
+for (const [label, expected] of CASES) {
+  test(`parseRelease: ${label.split("\n")[0]}`, () => {
+    const parsed = parseRelease(label);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.deepEqual(parsed[field], value, `${field}`);
+    }
+  });
+}
+
+test("episodeMatch classifies releases for a wanted episode", () => {
+  const m = label => episodeMatch(parseRelease(label), 2, 5);
+  assert.equal(m("Show.S02E05.1080p.WEB"), "episode");
+  assert.equal(m("Show.S02E04-E07.1080p.WEB"), "episode");
+  assert.equal(m("Show.S02E06.1080p.WEB"), "other");
+  assert.equal(m("Show.S03E05.1080p.WEB"), "other");
+  assert.equal(m("Show.S02.1080p.WEB"), "pack");
+  assert.equal(m("Show.S01-S03.1080p.WEB"), "pack");
+  assert.equal(m("Show.S01.1080p.WEB"), "other");
+  assert.equal(m("Show.Complete.Series.1080p"), "pack");
+  assert.equal(m("Show.1080p.WEB"), "unknown");
+});
+
+test("releaseHasKeyword matches parsed features and whole words only", () => {
+  const p = parseRelease("Blade.Runner.2049.2017.2160p.UHD.BluRay.x265.HDR10.DTS-HD.MA.7.1-SWTYBLZ");
+  assert.equal(releaseHasKeyword(p, "hevc"), true);
+  assert.equal(releaseHasKeyword(p, "x265"), true);
+  assert.equal(releaseHasKeyword(p, "hdr"), true);
+  assert.equal(releaseHasKeyword(p, "swtyblz"), true);
+  assert.equal(releaseHasKeyword(p, "blade runner"), true);
+  assert.equal(releaseHasKeyword(p, "run"), false);
+  assert.equal(releaseHasKeyword(p, "remux"), false);
+});
+
+test("describeRelease builds a compact summary", () => {
+  const p = parseRelease("The.Matrix.1999.2160p.UHD.BluRay.REMUX.HDR.HEVC.TrueHD.Atmos.7.1-FGT\n💾 58.3 GB");
+  assert.equal(describeRelease(p), "REMUX · HEVC · HDR · TrueHD Atmos 7.1 · 58.3 GB");
+  assert.equal(describeRelease(parseRelease("")), "");
+});
@@ -0,0 +1,58 @@
+// test/rate-limit.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter, createSemaphore } = require("../lib/rate-limit");
+
+test("token bucket allows a burst, then refills at the sustained rate", () => {
+  let t = 0;
+  const settings = { perMinute: 60, burst: 3 };
+  const limiter = createRateLimiter(() => settings, { now: () => t });
+  assert.deepEqual([1, 2, 3].map(() => limiter.take("a").ok), [true, true, true]);
+  const denied = limiter.take("a");
+  assert.equal(denied.ok, false);
+  assert.equal(denied.retryAfterSec, 1);
+  assert.equal(limiter.take("b").ok, true); // keys are independent
+
+  t += 1000;
+  assert.equal(limiter.take("a").ok, true);
+  assert.equal(limiter.take("a").ok, false);
+
+  settings.perMinute = 0; // disabled, e.g. after a config reload
+  assert.equal(limiter.take("a").ok, true);
+});
+
+test("bounded number of tracked keys", () => {
+  let t = 0;
+  const limiter = createRateLimiter(() => ({ perMinute: 60, burst: 2, maxKeys: 3 }), { now: () => t });
+  ["a", "b", "c"].forEach(k => limiter.take(k));
+  t += 5000; // all refilled: pruned on the next new key
+  limiter.take("d");
+  assert.equal(limiter.size, 1);
+  ["e", "f"].forEach(k => limiter.take(k));
+  limiter.take("g"); // nothing refilled: oldest goes
+  assert.equal(limiter.size, 3);
+});
+
+test("semaphore caps concurrency and drops aborted waiters", async () => {
+  const sem = createSemaphore(() => 2);
+  const gates = [];
+  const job = () => new Promise(resolve => gates.push(resolve));
+  const runs = [sem.run(job), sem.run(job), sem.run(job)];
+  await new Promise(setImmediate);
+  assert.equal(sem.active, 2);
+  assert.equal(sem.waiting, 1);
+
+  const ctrl = new AbortController();
+  const aborted = sem.run(job, ctrl.signal);
+  ctrl.abort(new Error("deadline"));
+  await assert.rejects(aborted, /deadline/);
+  assert.equal(sem.waiting, 1);
+
+  gates[0]("a");
+  await new Promise(setImmediate);
+  assert.equal(sem.active, 2);
+  gates[1]("b");
+  gates[2]("c");
+  assert.deepEqual(await Promise.all(runs), ["a", "b", "c"]);
+  assert.equal(sem.active, 0);
+});
@@ -0,0 +1,27 @@
+// test/redact.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { redact } = require("../lib/redact");
+
+test("redacts keys in URLs, paths and headers", () => {
+  assert.equal(redact("GET /manifest.json?debrid=real-debrid&apikey=ABC123&cached=1"),
+    "GET /manifest.json?debrid=real-debrid&apikey=<redacted>&cached=1");
+  assert.equal(redact("GET /u/v1.eyJhbGciOi/stream/movie/tt1.json"), "GET /u/<redacted>/stream/movie/tt1.json");
+  assert.equal(redact("https://torrentio.strem.fun/sort=qualitysize|realdebrid=ABC123|limit=2"),
+    "https://torrentio.strem.fun/sort=qualitysize|realdebrid=<redacted>|limit=2");
+  assert.equal(redact("Authorization: Bearer abc.def"), "Authorization: Bearer <redacted>");
+  assert.equal(redact("{ debrid: 'alldebrid', apikey: 'ABC123' }"), "{ debrid: 'alldebrid', apikey: '<redacted>' }");
+});
+
+test("redacts secret fields in nested objects without touching the original", () => {
+  const cfg = { debrid: "premiumize", apikey: "ABC123", nested: { debridApiKey: "XYZ", url: "/x?token=T" }, empty: "" };
+  assert.deepEqual(redact(cfg), {
+    debrid: "premiumize",
+    apikey: "<redacted>",
+    nested: { debridApiKey: "<redacted>", url: "/x?token=<redacted>" },
+    empty: ""
+  });
+  assert.equal(cfg.apikey, "ABC123");
+  const e = new Error("failed for apikey=ABC123");
+  assert.ok(!redact(e).includes("ABC123"));
+});
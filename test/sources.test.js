@@ -0,0 +1,81 @@
+// test/sources.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeSourceEntry, adapterFor } = require("../lib/sources");
+const { validateConfig } = require("../lib/config");
+
+const streamUrl = (entry, cfg) => {
+  const e = normalizeSourceEntry(entry);
+  return adapterFor(e).streamUrl(e, "movie", "tt0111161", cfg).toString();
+};
+
+test("picks an adapter from the URL unless one is configured", () => {
+  assert.equal(normalizeSourceEntry("https://torrentio.strem.fun/sort=seeders").adapter, "torrentio");
+  assert.equal(normalizeSourceEntry("https://torrentio.strem.fun/abc|cached=true").adapter, "pipe");
+  assert.equal(normalizeSourceEntry("https://thepiratebay-plus.strem.fun").adapter, "stremio");
+  assert.deepEqual(
+    normalizeSourceEntry({ url: "https://mirror.example/torrentio", adapter: "torrentio", name: "mirror" }),
+    { name: "mirror", url: "https://mirror.example/torrentio", adapter: "torrentio", query: {} }
+  );
+  assert.throws(() => adapterFor({ adapter: "nope" }), /unknown source adapter/);
+});
+
+test("torrentio passes the user's debrid settings and its defaults", () => {
+  const u = new URL(streamUrl("https://torrentio.strem.fun/", { debrid: "realdebrid", apikey: "KEY", cached: true }));
+  assert.equal(u.pathname, "/stream/movie/tt0111161.json");
+  assert.equal(u.searchParams.get("debrid"), "realdebrid");
+  assert.equal(u.searchParams.get("apikey"), "KEY");
+  assert.equal(u.searchParams.get("cached"), "true");
+  assert.equal(u.searchParams.get("exclude"), "cam,ts");
+
+  const custom = new URL(streamUrl({ url: "https://torrentio.strem.fun", query: { audio: "german" } }, { debrid: "none", cached: false }));
+  assert.equal(custom.searchParams.get("debrid"), null);
+  assert.equal(custom.searchParams.get("audio"), "german");
+});
+
+test("pipe links carry their own parameters, generic add-ons only the configured query", () => {
+  const pipe = new URL(streamUrl("https://torrentio.strem.fun/slug|cached=true&apikey=KEY", { debrid: "alldebrid", apikey: "OTHER" }));
+  assert.equal(pipe.pathname, "/slug/stream/movie/tt0111161.json");
+  assert.equal(pipe.searchParams.get("apikey"), "KEY");
+  assert.equal(pipe.searchParams.get("debrid"), null);
+
+  const generic = streamUrl({ url: "https://addon.example/", query: { lang: "en" } }, { debrid: "realdebrid", apikey: "KEY" });
+  assert.equal(generic, "https://addon.example/stream/movie/tt0111161.json?lang=en");
+});
+
+test("responses become candidates in a common shape", () => {
+  const e = normalizeSourceEntry({ url: "https://addon.example", name: "addon" });
+  const out = adapterFor(e).toCandidates({
+    streams: [
+      { title: "A 1080p", infoHash: "ABCDEF0123456789ABCDEF0123456789ABCDEF01", fileIdx: 2 },
+      { title: "B 720p", url: "https://cdn.example/b.mkv" },
+      { title: "no playable link" },
+      null
+    ]
+  }, e);
+  assert.deepEqual(out, [
+    { title: "A 1080p", infoHash: "abcdef0123456789abcdef0123456789abcdef01", fileIdx: 2, __source: "addon", __adapter: "stremio" },
+    { title: "B 720p", url: "https://cdn.example/b.mkv", __source: "addon", __adapter: "stremio" }
+  ]);
+  assert.deepEqual(adapterFor(e).toCandidates({ error: "nope" }, e), []);
+});
+
+test("config accepts source objects and rejects bad ones", () => {
+  assert.deepEqual(validateConfig({
+    sources: ["https://a.example", { url: "https://b.example", adapter: "stremio", query: { x: "1" } }]
+  }).errors, []);
+  assert.deepEqual(validateConfig({
+    sources: [{ url: "https://b.example", adapter: "torrentoi" }, { adapter: "stremio" }, { url: "https://c.example", nmae: "c" }]
+  }).errors, [
+    'sources[0].adapter: must be one of "torrentio", "pipe", "stremio" (got "torrentoi")',
+    "sources[1].url: required",
+    'sources[2].nmae: unknown setting (did you mean "name"?)'
+  ]);
+});
+
+test("torrentio asks for the user's audio languages", () => {
+  const u = new URL(streamUrl("https://torrentio.strem.fun", { debrid: "none", language: { audio: ["it", "en", "xx"] } }));
+  assert.equal(u.searchParams.get("audio"), "italian,english");
+  const none = new URL(streamUrl("https://torrentio.strem.fun", { debrid: "none", language: { audio: [] } }));
+  assert.equal(none.searchParams.get("audio"), "english");
+});
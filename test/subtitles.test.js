@@ -0,0 +1,44 @@
+// test/subtitles.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseExtra, subtitleLang, releaseMatchScore, rankSubtitles } = require("../lib/subtitles");
+
+test("parses Stremio's extra segment", () => {
+  assert.deepEqual(parseExtra("videoHash=8e245d9679d31e12&videoSize=1468006400&filename=Movie.2019.1080p.BluRay.x264-SPARKS.mkv"), {
+    videoHash: "8e245d9679d31e12",
+    videoSize: 1468006400,
+    filename: "Movie.2019.1080p.BluRay.x264-SPARKS.mkv"
+  });
+  assert.deepEqual(parseExtra(undefined), { videoHash: null, videoSize: null, filename: null });
+});
+
+test("maps subtitle add-on language codes", () => {
+  assert.equal(subtitleLang("eng"), "en");
+  assert.equal(subtitleLang("ger"), "de");
+  assert.equal(subtitleLang("pob"), "pt");
+  assert.equal(subtitleLang("it"), "it");
+  assert.equal(subtitleLang("xyz"), null);
+});
+
+test("scores release matches: hash, then name, then group/source/resolution", () => {
+  const playing = { videoHash: "abc", filename: "Movie.2019.1080p.BluRay.x264-SPARKS.mkv" };
+  assert.equal(releaseMatchScore({ url: "https://s/1.srt", hash: "abc" }, playing), 100);
+  assert.equal(releaseMatchScore({ url: "https://s/Movie.2019.1080p.BluRay.x264-SPARKS.srt" }, playing), 50);
+  assert.equal(releaseMatchScore({ url: "https://s/x.srt", title: "Movie.2019.720p.BluRay.x264-SPARKS" }, playing), 30);
+  assert.equal(releaseMatchScore({ url: "https://s/x.srt", title: "Movie.2019.1080p.WEB-DL-NTG" }, playing), 5);
+  assert.equal(releaseMatchScore({ url: "https://s/x.srt" }, {}), 0);
+});
+
+test("filters by language, dedupes and orders by preference then match", () => {
+  const subs = [
+    { id: "1", url: "https://s/a.srt", lang: "eng" },
+    { id: "2", url: "https://s/Movie.2019.1080p.BluRay.x264-SPARKS.srt", lang: "eng" },
+    { id: "3", url: "https://s/c.srt", lang: "ita" },
+    { id: "4", url: "https://s/d.srt", lang: "fre" },
+    { id: "1b", url: "https://s/a.srt", lang: "eng" },
+    { id: "5", lang: "eng" }
+  ];
+  const playing = { filename: "Movie.2019.1080p.BluRay.x264-SPARKS.mkv" };
+  assert.deepEqual(rankSubtitles(subs, { langs: ["it", "en"], playing }).map(s => s.id), ["3", "2", "1"]);
+  assert.deepEqual(rankSubtitles(subs, { playing, limit: 2 }).map(s => s.id), ["2", "1"]);
+});
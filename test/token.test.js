@@ -0,0 +1,34 @@
+// test/token.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTokenCodec, isVersionedToken } = require("../lib/token");
+
+const CFG = { debridProvider: "real-debrid", debridApiKey: "SECRETKEY123", preferCached: true, profile: "default" };
+
+test("round-trips a config and hides the key", () => {
+  const codec = createTokenCodec("server-secret");
+  const token = codec.encode(CFG);
+  assert.ok(token.startsWith("v1."));
+  assert.ok(isVersionedToken(token));
+  assert.ok(!token.includes("SECRETKEY123"));
+  assert.ok(!Buffer.from(token.slice(3), "base64url").toString("latin1").includes("SECRETKEY123"));
+  assert.deepEqual(codec.decode(token), CFG);
+  assert.notEqual(codec.encode(CFG), token, "fresh IV per token");
+});
+
+test("rejects tampered, foreign and malformed tokens", () => {
+  const codec = createTokenCodec("server-secret");
+  const token = codec.encode(CFG);
+  const raw = Buffer.from(token.slice(3), "base64url");
+  raw[20] ^= 1;
+  assert.equal(codec.decode(`v1.${raw.toString("base64url")}`), null);
+  assert.equal(createTokenCodec("other-secret").decode(token), null);
+  assert.equal(codec.decode(token.replace(/^v1\./, "v2.")), null);
+  assert.equal(codec.decode("v1.abc"), null);
+  assert.equal(codec.decode(Buffer.from(JSON.stringify(CFG)).toString("base64url")), null);
+  assert.equal(isVersionedToken(Buffer.from(JSON.stringify(CFG)).toString("base64url")), false);
+});
+
+test("requires a secret", () => {
+  assert.throws(() => createTokenCodec(""), /secret is required/);
+});
@@ -0,0 +1,103 @@
+// test/user-settings.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeFilters, hasFilters, applyFilters, normalizeLanguage } = require("../lib/user-settings");
+const { languageCode } = require("../lib/parse-release");
+
+const st = title => ({ title });
+// applyFilters → { "<title>": reason | null }
+const reasons = (titles, ...args) => {
+  const { kept, rejected } = applyFilters(titles.map(st), ...args);
+  return Object.fromEntries([
+    ...kept.map(s => [s.title, null]),
+    ...rejected.map(r => [r.stream.title, r.reason])
+  ]);
+};
+
+test("filters are normalized, and empty ones keep every candidate", () => {
+  const f = normalizeFilters({ exclude: "YIFY, cam", maxSizeGB: "-3", audioLangs: ["ITA", "klingon"], subLangs: "English", blockCodecs: "hevc,h264" });
+  assert.deepEqual(f, { exclude: ["yify", "cam"], maxSizeGB: 0, audioLangs: ["it"], subLangs: ["en"], blockCodecs: ["HEVC"] });
+  assert.equal(hasFilters(normalizeFilters(null)), false);
+  const all = [st("Movie.2020.1080p.HDCAM.x264")];
+  assert.deepEqual(applyFilters(all, normalizeFilters(null)), { kept: all, rejected: [] });
+});
+
+test("excluded keywords match parsed features and whole words", () => {
+  const f = normalizeFilters({ exclude: "yify, cam" });
+  assert.deepEqual(reasons(["Movie.2020.1080p.WEBRip.x264-YIFY", "Movie.2020.HDCAM.x264", "Scampi.2020.1080p.BluRay"], f), {
+    "Movie.2020.1080p.WEBRip.x264-YIFY": 'excluded keyword "yify"',
+    "Movie.2020.HDCAM.x264": 'excluded keyword "cam"',
+    "Scampi.2020.1080p.BluRay": null
+  });
+});
+
+test("the size cap only rejects releases known to be larger", () => {
+  const f = normalizeFilters({ maxSizeGB: 10 });
+  assert.deepEqual(reasons(["Movie.2020.2160p.BluRay\n💾 58.3 GB", "Movie.2020.1080p.BluRay\n💾 9.1 GB", "Movie.2020.720p.BluRay"], f), {
+    "Movie.2020.2160p.BluRay\n💾 58.3 GB": "larger than 10 GB",
+    "Movie.2020.1080p.BluRay\n💾 9.1 GB": null,
+    "Movie.2020.720p.BluRay": null
+  });
+});
+
+test("blocked codecs reject only releases with that codec", () => {
+  const f = normalizeFilters({ blockCodecs: ["AV1"] });
+  assert.deepEqual(reasons(["Movie.2020.1080p.WEB-DL.AV1", "Movie.2020.1080p.WEB-DL.x265", "Movie.2020.1080p.WEB-DL"], f), {
+    "Movie.2020.1080p.WEB-DL.AV1": "blocked codec AV1",
+    "Movie.2020.1080p.WEB-DL.x265": null,
+    "Movie.2020.1080p.WEB-DL": null
+  });
+});
+
+test("audio languages: unmarked releases count as English, unlisted multi-audio passes", () => {
+  assert.deepEqual(reasons(["Movie.2020.1080p.BluRay.ITA.ENG", "Movie.2020.1080p.BluRay.FRENCH", "Movie.2020.1080p.BluRay", "Movie.2020.1080p.MULTi.BluRay"],
+    normalizeFilters({ audioLangs: ["it"] })), {
+    "Movie.2020.1080p.BluRay.ITA.ENG": null,
+    "Movie.2020.1080p.BluRay.FRENCH": "audio not in it",
+    "Movie.2020.1080p.BluRay": "audio not in it",
+    "Movie.2020.1080p.MULTi.BluRay": null
+  });
+  assert.equal(reasons(["Movie.2020.1080p.BluRay"], normalizeFilters({ audioLangs: ["en"] }))["Movie.2020.1080p.BluRay"], null);
+});
+
+test("subtitle languages: releases that don't list subtitles are not rejected", () => {
+  const f = normalizeFilters({ subLangs: ["it"] });
+  assert.deepEqual(reasons(["Movie.2020.1080p.BluRay.x264-GRP", "Movie.2020.1080p.BluRay.ENG.Sub.ITA", "Movie.2020.1080p.BluRay.Subs.FRE", "Movie.2020.1080p.BluRay.MultiSub"], f), {
+    "Movie.2020.1080p.BluRay.x264-GRP": null,
+    "Movie.2020.1080p.BluRay.ENG.Sub.ITA": null,
+    "Movie.2020.1080p.BluRay.Subs.FRE": "no it subtitles",
+    "Movie.2020.1080p.BluRay.MultiSub": null
+  });
+});
+
+test("series requests drop releases of other episodes and keep packs of the season", () => {
+  assert.deepEqual(reasons(["Show.S01E02.1080p.WEB", "Show.S01E03.1080p.WEB", "Show.S01.1080p.WEB", "Show.S02.1080p.WEB", "Show.1080p.WEB"],
+    normalizeFilters(null), { season: 1, episode: 2 }), {
+    "Show.S01E02.1080p.WEB": null,
+    "Show.S01E03.1080p.WEB": "not S01E02",
+    "Show.S01.1080p.WEB": null,
+    "Show.S02.1080p.WEB": "not S01E02",
+    "Show.1080p.WEB": null
+  });
+});
+
+test("dubbed and multi-audio releases are dropped when the user opts out", () => {
+  const titles = ["Movie.2020.1080p.BluRay.iTA.DUBBED", "Movie.2020.1080p.MULTi.BluRay", "Movie.2020.1080p.BluRay"];
+  assert.deepEqual(reasons(titles, normalizeFilters(null), null, normalizeLanguage({ dubbed: false, multi: false })), {
+    "Movie.2020.1080p.BluRay.iTA.DUBBED": "dubbed",
+    "Movie.2020.1080p.MULTi.BluRay": "multi-audio",
+    "Movie.2020.1080p.BluRay": null
+  });
+  assert.equal(applyFilters(titles.map(st), normalizeFilters(null), null, normalizeLanguage({})).rejected.length, 0);
+});
+
+test("a ui language that is an object built-in falls back to en", () => {
+  for (const ui of ["constructor", "__proto__", "toString"]) assert.equal(normalizeLanguage({ ui }).ui, "en");
+  assert.equal(normalizeLanguage({ audio: "it" }).ui, "it");
+});
+
+test("language codes ignore object built-ins", () => {
+  assert.equal(languageCode("Italian"), "it");
+  for (const v of ["constructor", "__proto__", "toString", "hasOwnProperty"]) assert.equal(languageCode(v), null);
+  assert.deepEqual(normalizeFilters({ subLangs: "constructor, en" }).subLangs, ["en"]);
+});